@@ -0,0 +1,363 @@
+/*
+ * gic_sec Adventure – benchmark worker
+ *
+ * Runs the ExampleScene benchmark station off the main thread so the game
+ * keeps animating while it measures. It is started as a module worker
+ * (so it can import the WASM build) and receives one message:
+ *
+ *   { algorithm: 'SHA-256' | 'SHA-512' | 'password', sizes: [64, 1024],
+ *     duration: 400, wasmUrl: 'http://…/wasm/gic_sec.js' }
+ *
+ * For every size it times the pure JavaScript implementation below,
+ * WebCrypto and the gic_sec WASM build (when it loads) for `duration`
+ * milliseconds each, then answers with
+ *
+ *   { type: 'result', wasm: { available, error }, results: [...] }
+ *
+ * or `{ type: 'error', message }`. Each result is `{ impl, size,
+ * opsPerSec, p50, p95, min, max, p99, bins, matches }` with latencies in
+ * microseconds, or `{ impl, size, error }` if that implementation failed.
+ */
+
+// Latency histograms have this many bins between the fastest sample and
+// the 99th percentile; slower outliers (GC pauses, JIT warm-up) go in the
+// last bin so they don't squash the rest
+const HISTOGRAM_BINS = 12;
+// Operations are timed in batches that take at least this long, since
+// performance.now() is coarsened in workers
+const MIN_BATCH_MS = 2;
+const MAX_BATCH = 1 << 16;
+
+// ---------------------------------------------------------------------------
+// Pure JavaScript SHA-2. Straightforward implementations of FIPS 180-4 with
+// no WebCrypto or WASM help: the baseline the other paths are compared to.
+
+const SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+const SHA256_H = new Uint32Array([
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+]);
+// SHA-512 works on 64-bit words, kept here as [high, low] 32-bit pairs
+const SHA512_K = new Uint32Array([
+  0x428a2f98, 0xd728ae22, 0x71374491, 0x23ef65cd, 0xb5c0fbcf, 0xec4d3b2f, 0xe9b5dba5, 0x8189dbbc,
+  0x3956c25b, 0xf348b538, 0x59f111f1, 0xb605d019, 0x923f82a4, 0xaf194f9b, 0xab1c5ed5, 0xda6d8118,
+  0xd807aa98, 0xa3030242, 0x12835b01, 0x45706fbe, 0x243185be, 0x4ee4b28c, 0x550c7dc3, 0xd5ffb4e2,
+  0x72be5d74, 0xf27b896f, 0x80deb1fe, 0x3b1696b1, 0x9bdc06a7, 0x25c71235, 0xc19bf174, 0xcf692694,
+  0xe49b69c1, 0x9ef14ad2, 0xefbe4786, 0x384f25e3, 0x0fc19dc6, 0x8b8cd5b5, 0x240ca1cc, 0x77ac9c65,
+  0x2de92c6f, 0x592b0275, 0x4a7484aa, 0x6ea6e483, 0x5cb0a9dc, 0xbd41fbd4, 0x76f988da, 0x831153b5,
+  0x983e5152, 0xee66dfab, 0xa831c66d, 0x2db43210, 0xb00327c8, 0x98fb213f, 0xbf597fc7, 0xbeef0ee4,
+  0xc6e00bf3, 0x3da88fc2, 0xd5a79147, 0x930aa725, 0x06ca6351, 0xe003826f, 0x14292967, 0x0a0e6e70,
+  0x27b70a85, 0x46d22ffc, 0x2e1b2138, 0x5c26c926, 0x4d2c6dfc, 0x5ac42aed, 0x53380d13, 0x9d95b3df,
+  0x650a7354, 0x8baf63de, 0x766a0abb, 0x3c77b2a8, 0x81c2c92e, 0x47edaee6, 0x92722c85, 0x1482353b,
+  0xa2bfe8a1, 0x4cf10364, 0xa81a664b, 0xbc423001, 0xc24b8b70, 0xd0f89791, 0xc76c51a3, 0x0654be30,
+  0xd192e819, 0xd6ef5218, 0xd6990624, 0x5565a910, 0xf40e3585, 0x5771202a, 0x106aa070, 0x32bbd1b8,
+  0x19a4c116, 0xb8d2d0c8, 0x1e376c08, 0x5141ab53, 0x2748774c, 0xdf8eeb99, 0x34b0bcb5, 0xe19b48a8,
+  0x391c0cb3, 0xc5c95a63, 0x4ed8aa4a, 0xe3418acb, 0x5b9cca4f, 0x7763e373, 0x682e6ff3, 0xd6b2b8a3,
+  0x748f82ee, 0x5defb2fc, 0x78a5636f, 0x43172f60, 0x84c87814, 0xa1f0ab72, 0x8cc70208, 0x1a6439ec,
+  0x90befffa, 0x23631e28, 0xa4506ceb, 0xde82bde9, 0xbef9a3f7, 0xb2c67915, 0xc67178f2, 0xe372532b,
+  0xca273ece, 0xea26619c, 0xd186b8c7, 0x21c0c207, 0xeada7dd6, 0xcde0eb1e, 0xf57d4f7f, 0xee6ed178,
+  0x06f067aa, 0x72176fba, 0x0a637dc5, 0xa2c898a6, 0x113f9804, 0xbef90dae, 0x1b710b35, 0x131c471b,
+  0x28db77f5, 0x23047d84, 0x32caab7b, 0x40c72493, 0x3c9ebe0a, 0x15c9bebc, 0x431d67c4, 0x9c100d4c,
+  0x4cc5d4be, 0xcb3e42b6, 0x597f299c, 0xfc657e2a, 0x5fcb6fab, 0x3ad6faec, 0x6c44198c, 0x4a475817,
+]);
+const SHA512_H = new Uint32Array([
+  0x6a09e667, 0xf3bcc908, 0xbb67ae85, 0x84caa73b, 0x3c6ef372, 0xfe94f82b, 0xa54ff53a, 0x5f1d36f1,
+  0x510e527f, 0xade682d1, 0x9b05688c, 0x2b3e6c1f, 0x1f83d9ab, 0xfb41bd6b, 0x5be0cd19, 0x137e2179,
+]);
+
+// Appends the 0x80 marker, zero padding and the message length in bits
+// (big-endian, in the last `lengthBytes` bytes) to fill whole blocks
+function padMessage(bytes, blockSize, lengthBytes) {
+  const total = Math.ceil((bytes.length + 1 + lengthBytes) / blockSize) * blockSize;
+  const padded = new Uint8Array(total);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  const bits = bytes.length * 8;
+  view.setUint32(total - 8, Math.floor(bits / 0x100000000));
+  view.setUint32(total - 4, bits >>> 0);
+  return view;
+}
+
+function wordsToHex(words) {
+  return Array.from(words, (word) => word.toString(16).padStart(8, '0')).join('');
+}
+
+function sha256(bytes) {
+  const view = padMessage(bytes, 64, 8);
+  const H = SHA256_H.slice();
+  const W = new Uint32Array(64);
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+  for (let offset = 0; offset < view.byteLength; offset += 64) {
+    for (let i = 0; i < 16; i++) W[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(W[i - 15], 7) ^ rotr(W[i - 15], 18) ^ (W[i - 15] >>> 3);
+      const s1 = rotr(W[i - 2], 17) ^ rotr(W[i - 2], 19) ^ (W[i - 2] >>> 10);
+      W[i] = W[i - 16] + s0 + W[i - 7] + s1;
+    }
+    let [a, b, c, d, e, f, g, h] = H;
+    for (let i = 0; i < 64; i++) {
+      const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (h + S1 + ch + SHA256_K[i] + W[i]) | 0;
+      const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (S0 + maj) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    H[0] += a;
+    H[1] += b;
+    H[2] += c;
+    H[3] += d;
+    H[4] += e;
+    H[5] += f;
+    H[6] += g;
+    H[7] += h;
+  }
+  return wordsToHex(H);
+}
+
+// 64-bit additions: the low halves are summed as unsigned numbers (exact
+// in a double) and whatever overflows 32 bits is carried into the high half
+const CARRY = 0x100000000;
+
+function sha512(bytes) {
+  const view = padMessage(bytes, 128, 16);
+  const H = SHA512_H.slice();
+  const Wh = new Uint32Array(80);
+  const Wl = new Uint32Array(80);
+  for (let offset = 0; offset < view.byteLength; offset += 128) {
+    for (let i = 0; i < 16; i++) {
+      Wh[i] = view.getUint32(offset + i * 8);
+      Wl[i] = view.getUint32(offset + i * 8 + 4);
+    }
+    for (let i = 16; i < 80; i++) {
+      // σ0 = rotr 1 ^ rotr 8 ^ shr 7
+      let xh = Wh[i - 15];
+      let xl = Wl[i - 15];
+      const s0h = ((xh >>> 1) | (xl << 31)) ^ ((xh >>> 8) | (xl << 24)) ^ (xh >>> 7);
+      const s0l = ((xl >>> 1) | (xh << 31)) ^ ((xl >>> 8) | (xh << 24)) ^ ((xl >>> 7) | (xh << 25));
+      // σ1 = rotr 19 ^ rotr 61 ^ shr 6
+      xh = Wh[i - 2];
+      xl = Wl[i - 2];
+      const s1h = ((xh >>> 19) | (xl << 13)) ^ ((xl >>> 29) | (xh << 3)) ^ (xh >>> 6);
+      const s1l = ((xl >>> 19) | (xh << 13)) ^ ((xh >>> 29) | (xl << 3)) ^ ((xl >>> 6) | (xh << 26));
+      const lo = Wl[i - 16] + (s0l >>> 0) + Wl[i - 7] + (s1l >>> 0);
+      Wl[i] = lo;
+      Wh[i] = Wh[i - 16] + s0h + Wh[i - 7] + s1h + Math.floor(lo / CARRY);
+    }
+    let [ah, al, bh, bl, ch, cl, dh, dl, eh, el, fh, fl, gh, gl, hh, hl] = H;
+    for (let i = 0; i < 80; i++) {
+      // Σ1(e) = rotr 14 ^ rotr 18 ^ rotr 41
+      const S1h = ((eh >>> 14) | (el << 18)) ^ ((eh >>> 18) | (el << 14)) ^ ((el >>> 9) | (eh << 23));
+      const S1l = ((el >>> 14) | (eh << 18)) ^ ((el >>> 18) | (eh << 14)) ^ ((eh >>> 9) | (el << 23));
+      const chh = (eh & fh) ^ (~eh & gh);
+      const chl = (el & fl) ^ (~el & gl);
+      const t1l = (hl >>> 0) + (S1l >>> 0) + (chl >>> 0) + SHA512_K[i * 2 + 1] + Wl[i];
+      const t1h = hh + S1h + chh + SHA512_K[i * 2] + Wh[i] + Math.floor(t1l / CARRY);
+      // Σ0(a) = rotr 28 ^ rotr 34 ^ rotr 39
+      const S0h = ((ah >>> 28) | (al << 4)) ^ ((al >>> 2) | (ah << 30)) ^ ((al >>> 7) | (ah << 25));
+      const S0l = ((al >>> 28) | (ah << 4)) ^ ((ah >>> 2) | (al << 30)) ^ ((ah >>> 7) | (al << 25));
+      const majh = (ah & bh) ^ (ah & ch) ^ (bh & ch);
+      const majl = (al & bl) ^ (al & cl) ^ (bl & cl);
+      const t2l = (S0l >>> 0) + (majl >>> 0);
+      const t2h = S0h + majh + Math.floor(t2l / CARRY);
+      hh = gh;
+      hl = gl;
+      gh = fh;
+      gl = fl;
+      fh = eh;
+      fl = el;
+      const el2 = (dl >>> 0) + (t1l >>> 0);
+      eh = (dh + t1h + Math.floor(el2 / CARRY)) | 0;
+      el = el2 | 0;
+      dh = ch;
+      dl = cl;
+      ch = bh;
+      cl = bl;
+      bh = ah;
+      bl = al;
+      const al2 = (t1l >>> 0) + (t2l >>> 0);
+      ah = (t1h + t2h + Math.floor(al2 / CARRY)) | 0;
+      al = al2 | 0;
+    }
+    [ah, al, bh, bl, ch, cl, dh, dl, eh, el, fh, fl, gh, gl, hh, hl].forEach((word, i) => {
+      if (i % 2) {
+        const lo = H[i] + (word >>> 0);
+        H[i] = lo;
+        H[i - 1] += Math.floor(lo / CARRY);
+      } else {
+        H[i] += word;
+      }
+    });
+  }
+  return wordsToHex(H);
+}
+
+// ---------------------------------------------------------------------------
+// Password generation, with the same character sets as the stations use
+
+const PASSWORD_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789#*+';
+
+// Math.random is fast but not cryptographically secure; shown for contrast
+function passwordMathRandom(length) {
+  let result = '';
+  for (let i = 0; i < length; i++) {
+    result += PASSWORD_CHARS.charAt(Math.floor(Math.random() * PASSWORD_CHARS.length));
+  }
+  return result;
+}
+
+// crypto.getRandomValues with rejection sampling so every character is
+// equally likely
+function passwordWebCrypto(length) {
+  const limit = 256 - (256 % PASSWORD_CHARS.length);
+  const bytes = new Uint8Array(length * 2);
+  let result = '';
+  while (result.length < length) {
+    crypto.getRandomValues(bytes);
+    for (let i = 0; i < bytes.length && result.length < length; i++) {
+      if (bytes[i] < limit) result += PASSWORD_CHARS[bytes[i] % PASSWORD_CHARS.length];
+    }
+  }
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// Measurement
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+// A printable ASCII string of `size` bytes, so every path hashes the same
+// bytes whether it takes a string or a buffer
+function sampleInput(size) {
+  let text = '';
+  for (let i = 0; i < size; i++) text += String.fromCharCode(33 + (i * 7) % 94);
+  return text;
+}
+
+// Times `op` for about `duration` ms and summarises the per-operation
+// latency (in microseconds) of each batch. `isAsync` ops are awaited; sync
+// ones are not, so they don't pay for a microtask per call.
+async function measure(op, isAsync, duration) {
+  const runBatch = async (count) => {
+    const start = performance.now();
+    if (isAsync) {
+      for (let i = 0; i < count; i++) await op();
+    } else {
+      for (let i = 0; i < count; i++) op();
+    }
+    return performance.now() - start;
+  };
+  let batch = 1;
+  while (batch < MAX_BATCH && await runBatch(batch) < MIN_BATCH_MS) batch *= 2;
+  const samples = [];
+  let ops = 0;
+  const begin = performance.now();
+  do {
+    samples.push((await runBatch(batch)) / batch * 1000);
+    ops += batch;
+  } while (performance.now() - begin < duration);
+  const elapsed = performance.now() - begin;
+  samples.sort((x, y) => x - y);
+  const percentile = (p) => samples[Math.min(samples.length - 1, Math.floor(p * samples.length))];
+  const min = samples[0];
+  const p99 = percentile(0.99);
+  const bins = new Array(HISTOGRAM_BINS).fill(0);
+  samples.forEach((sample) => {
+    const bin = p99 > min ? Math.floor((sample - min) / (p99 - min) * HISTOGRAM_BINS) : 0;
+    bins[Math.min(bin, HISTOGRAM_BINS - 1)]++;
+  });
+  return {
+    opsPerSec: ops / elapsed * 1000,
+    p50: percentile(0.5),
+    p95: percentile(0.95),
+    min,
+    max: samples[samples.length - 1],
+    p99,
+    bins,
+  };
+}
+
+// wasm-bindgen `--target web` output: the default export initialises the
+// module, which then exposes the same functions as the native addon
+async function loadWasm(url) {
+  if (!url) throw new Error('no WASM build configured');
+  const mod = await import(url);
+  if (typeof mod.default === 'function') await mod.default();
+  return mod;
+}
+
+// The implementations compared for each algorithm. `run(input)` returns
+// the result for one operation; hashes are compared with WebCrypto's.
+function implementations(algorithm, wasm) {
+  const encoder = new TextEncoder();
+  if (algorithm === 'password') {
+    return [
+      { impl: 'js', run: passwordMathRandom },
+      { impl: 'webcrypto', run: passwordWebCrypto },
+      wasm && { impl: 'wasm', run: (length) => wasm.generatePassword(length, true, true, true, '#*+') },
+    ].filter(Boolean);
+  }
+  const pureJs = algorithm === 'SHA-512' ? sha512 : sha256;
+  const wasmFn = algorithm === 'SHA-512' ? 'hashSha512' : 'hashSha256';
+  return [
+    { impl: 'js', run: (input) => pureJs(encoder.encode(input)) },
+    {
+      impl: 'webcrypto',
+      isAsync: true,
+      run: async (input) => toHex(await crypto.subtle.digest(algorithm, encoder.encode(input))),
+    },
+    wasm && { impl: 'wasm', run: (input) => wasm[wasmFn](input) },
+  ].filter(Boolean);
+}
+
+self.onmessage = async (event) => {
+  const { algorithm, sizes, duration, wasmUrl } = event.data;
+  try {
+    let wasm = null;
+    let wasmError = null;
+    try {
+      wasm = await loadWasm(wasmUrl);
+    } catch (err) {
+      wasmError = err.message;
+    }
+    const results = [];
+    for (const size of sizes) {
+      // Passwords are measured by length; hashes by input size
+      const input = algorithm === 'password' ? size : sampleInput(size);
+      const expected = algorithm === 'password'
+        ? null
+        : toHex(await crypto.subtle.digest(algorithm, new TextEncoder().encode(input)));
+      for (const { impl, run, isAsync } of implementations(algorithm, wasm)) {
+        try {
+          const output = await run(input);
+          const stats = await measure(() => run(input), Boolean(isAsync), duration);
+          results.push({ impl, size, ...stats, matches: expected === null ? null : output === expected });
+        } catch (err) {
+          results.push({ impl, size, error: err.message || String(err) });
+        }
+      }
+    }
+    self.postMessage({ type: 'result', wasm: { available: Boolean(wasm), error: wasmError }, results });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message || String(err) });
+  }
+};
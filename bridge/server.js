@@ -0,0 +1,116 @@
+/*
+ * gic_sec local bridge
+ *
+ * A tiny HTTP server that loads the real gic_sec native addon (the `.node`
+ * file produced by `napi build --release`) and exposes its functions to
+ * the presentation running in the browser. ExampleScene probes
+ * `GET /health` and then calls functions with `POST /call` and a JSON
+ * body of `{ "fn": "hashSha256", "args": ["hello world"] }`.
+ *
+ * Usage:
+ *   node bridge/server.js [path/to/gic_sec]
+ *
+ * The addon path defaults to ./gic_sec (resolved from the current
+ * directory) and can also be set with GIC_SEC_PATH. The port defaults to
+ * 8787 and can be set with GIC_BRIDGE_PORT. The server only listens on
+ * the loopback interface and only exposes the functions listed below.
+ * Browsers may only call it from the presentation's origin, by default
+ * the dev server on port 8000; GIC_BRIDGE_ORIGIN sets a comma-separated
+ * list of origins instead. Other web pages get a 403.
+ */
+const http = require('http');
+const path = require('path');
+
+const PORT = Number(process.env.GIC_BRIDGE_PORT) || 8787;
+const ADDON_PATH = path.resolve(process.argv[2] || process.env.GIC_SEC_PATH || './gic_sec');
+const ALLOWED_ORIGINS = (process.env.GIC_BRIDGE_ORIGIN || 'http://localhost:8000,http://127.0.0.1:8000')
+  .split(',')
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+// Largest request body accepted, in bytes
+const MAX_BODY = 64 * 1024;
+
+// Functions the presentation is allowed to call. Keep in sync with
+// GIC_FUNCTIONS in main.js.
+const EXPOSED = [
+  'encodeJwt',
+  'decodeJwt',
+  'generatePassword',
+  'hashSha256',
+  'hashSha512',
+  'randomBase64',
+  'generateUuidV4',
+];
+
+const gic = require(ADDON_PATH);
+const missing = EXPOSED.filter((fn) => typeof gic[fn] !== 'function');
+if (missing.length) {
+  console.warn(`gic_sec at ${ADDON_PATH} does not export: ${missing.join(', ')}`);
+}
+
+// `origin` is the request's allowed Origin, if it sent one
+function send(res, status, body, origin) {
+  const headers = { 'Content-Type': 'application/json', Vary: 'Origin' };
+  if (origin) {
+    // The game is served from a different local port, so its origin
+    // gets cross-origin access; no other page does
+    headers['Access-Control-Allow-Origin'] = origin;
+    headers['Access-Control-Allow-Methods'] = 'GET, POST, OPTIONS';
+    headers['Access-Control-Allow-Headers'] = 'Content-Type';
+  }
+  res.writeHead(status, headers);
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  // Any page the browser has open could otherwise call the addon. Requests
+  // without an Origin (curl, scripts) do not come from a web page.
+  const { origin } = req.headers;
+  if (origin && !ALLOWED_ORIGINS.includes(origin)) {
+    send(res, 403, { error: `Origin not allowed: ${origin}` });
+    return;
+  }
+  if (req.method === 'OPTIONS') {
+    send(res, 204, {}, origin);
+    return;
+  }
+  if (req.method === 'GET' && req.url === '/health') {
+    send(res, 200, { ok: true, addon: ADDON_PATH }, origin);
+    return;
+  }
+  if (req.method === 'POST' && req.url === '/call') {
+    try {
+      const { fn, args } = JSON.parse(await readBody(req));
+      if (!EXPOSED.includes(fn) || typeof gic[fn] !== 'function') {
+        send(res, 404, { error: `Unknown function: ${fn}` }, origin);
+        return;
+      }
+      // napi-rs functions may be sync or return promises
+      const result = await gic[fn](...(Array.isArray(args) ? args : []));
+      send(res, 200, { result }, origin);
+    } catch (err) {
+      send(res, 400, { error: err.message }, origin);
+    }
+    return;
+  }
+  send(res, 404, { error: 'Not found' }, origin);
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+  console.log(`gic_sec bridge listening on http://localhost:${PORT} for ${ALLOWED_ORIGINS.join(', ')} (addon: ${ADDON_PATH})`);
+});
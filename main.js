@@ -11,91 +11,2647 @@
 // -------- Scale Factors (tweak if you like) --------
 const PLAYER_SCALE = 2.6;   // robot sprite size
 const TILE_SCALE   = 1.25;  // ground/platform/crate
+const VIEW_ROWS    = 16;    // tile rows that fit the screen height (level zoom)
 const MARKER_SCALE = 1.25;  // visible benefit markers / labels
 
+// -------- Virtual resolution --------
+// Every scene lays itself out for this size; the canvas is then scaled to
+// fit the window (letterboxed), so resizing the window or moving it to a
+// projector never changes the layout.
+const VIRTUAL_WIDTH  = 1600;
+const VIRTUAL_HEIGHT = 900;
+
 (() => {
-  // Global game state shared between scenes. It keeps track of which
-  // benefits have been collected, whether the bridge has been built
-  // and which example stations have been visited.
-  const gameState = {
-    benefitsCollected: {},
-    examplesVisited: {},
+  // Central store for all presentation progress, kept outside the scene
+  // instances so replays and jumps between scenes always start from the
+  // same state. Progress is grouped per scene (see INITIAL_PROGRESS);
+  // scenes read a snapshot of their slice with get() and write with
+  // set(). Every write emits `change` with the scene key and its new
+  // snapshot, and reset() emits `reset` after restoring the defaults.
+  const INITIAL_PROGRESS = {
+    // Keys of the benefits picked up, e.g. { performance: true }, and of
+    // the vulnerability enemies squashed
+    BenefitScene: { collected: {}, defeated: {} },
+    // Target triples routed to their machine and whether the bridge
+    // overlay has been shown
+    NapiScene: { routed: {}, complete: false },
+    // Index of the next signpost to visit
+    BuildScene: { stepIndex: 0 },
+    // Keys of the stations visited, e.g. { jwt: true }
+    ExampleScene: { visited: {} },
+    // Question on screen, answers by question id as { given, correct }
+    // and the name entered for the results export
+    QuizScene: { index: 0, answers: {}, name: '' },
   };
 
-  // Helper to create overlay panels. Overlays are created above the
-  // current scene and block input to the rest of the game until
-  // dismissed. The function accepts a scene, a title, body text and
-  // optional code/output sections. It returns a promise that resolves
-  // once the overlay has been dismissed.
-  function createOverlay(scene, { title, body, code, output }) {
+  class ProgressStore extends Phaser.Events.EventEmitter {
+    constructor() {
+      super();
+      this.state = ProgressStore.clone(INITIAL_PROGRESS);
+    }
+    static clone(value) {
+      return JSON.parse(JSON.stringify(value));
+    }
+    // Snapshot of one scene's progress; changing it does not affect the store
+    get(sceneKey) {
+      return ProgressStore.clone(this.state[sceneKey] || {});
+    }
+    set(sceneKey, changes) {
+      this.state[sceneKey] = { ...this.state[sceneKey], ...ProgressStore.clone(changes) };
+      this.emit('change', sceneKey, this.get(sceneKey));
+    }
+    reset() {
+      this.state = ProgressStore.clone(INITIAL_PROGRESS);
+      this.emit('reset');
+    }
+    // Snapshot of every scene, for saving
+    snapshot() {
+      return ProgressStore.clone(this.state);
+    }
+    // Restores a snapshot, keeping defaults for scenes it does not cover
+    restore(snapshot) {
+      Object.keys(INITIAL_PROGRESS).forEach((key) => {
+        if (snapshot && snapshot[key]) this.state[key] = { ...this.state[key], ...ProgressStore.clone(snapshot[key]) };
+      });
+    }
+  }
+
+  const progress = new ProgressStore();
+
+  // Overlays currently on screen, oldest first, as { title, mirror, close }
+  // so they can be dismissed remotely from the presenter view.
+  const openOverlays = [];
+  // Overlays waiting for the one on screen to close, oldest first, as
+  // { show } (see createOverlay)
+  const overlayQueue = [];
+
+  // Accessibility settings, saved under A11Y_KEY. With highContrast on,
+  // overlays use opaque black panels with larger, brighter text and the
+  // page gets a `high-contrast` class for its DOM forms. `?contrast` in
+  // the URL turns it on as well.
+  const A11Y_KEY = 'gic-sec-adventure-a11y';
+  const a11y = (() => {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(A11Y_KEY));
+    } catch (err) {
+      // storage disabled or corrupt; use the defaults
+    }
+    const highContrast = new URLSearchParams(location.search).has('contrast') ||
+      Boolean(saved && saved.highContrast);
+    return { highContrast };
+  })();
+  document.body.classList.toggle('high-contrast', a11y.highContrast);
+
+  function setHighContrast(on) {
+    a11y.highContrast = on;
+    document.body.classList.toggle('high-contrast', on);
+    try {
+      localStorage.setItem(A11Y_KEY, JSON.stringify(a11y));
+    } catch (err) {
+      // Storage may be full or disabled; the setting just won't persist
+    }
+  }
+
+  // The canvas is invisible to screen readers, so the text of the top
+  // overlay is mirrored into the visually hidden live region in
+  // index.html (#overlay-a11y). Called whenever an overlay opens, closes
+  // or changes its code/output.
+  function mirrorOverlay() {
+    const region = document.getElementById('overlay-a11y');
+    if (!region) return;
+    region.textContent = '';
+    const top = openOverlays[openOverlays.length - 1];
+    if (!top) return;
+    const { title, body, code, output } = top.mirror;
+    const heading = document.createElement('h2');
+    heading.textContent = title;
+    region.appendChild(heading);
+    if (body) region.appendChild(renderRichText(body));
+    [code, output].forEach((text) => {
+      if (!text) return;
+      const pre = document.createElement('pre');
+      pre.textContent = text;
+      region.appendChild(pre);
+    });
+  }
+
+  // Draws a bar chart with its top-left corner at (x, y) and returns the
+  // game objects it created (so an overlay can scroll and replace them).
+  // A chart is `{ title, bars, columns, axis }`; each bar is `{ label,
+  // value, valueLabel, color }`. Bars are horizontal rows with their label
+  // and value text unless `columns` is set, which draws unlabelled
+  // vertical columns (a histogram) with the two `axis` labels below.
+  function drawBarChart(scene, x, y, width, chart, { fontSize, color }) {
+    const objects = [];
+    const text = (tx, ty, value) => {
+      const label = scene.add.text(tx, ty, value, { fontSize, fontFamily: 'Arial', color });
+      objects.push(label);
+      return label;
+    };
+    const title = text(x, y, chart.title);
+    let top = y + title.height + 6;
+    const max = Math.max(...chart.bars.map((bar) => bar.value), 0) || 1;
+    if (chart.columns) {
+      const chartHeight = 60;
+      const step = width / chart.bars.length;
+      chart.bars.forEach((bar, i) => {
+        const barHeight = Math.max(1, (bar.value / max) * chartHeight);
+        objects.push(scene.add.rectangle(x + i * step, top + chartHeight - barHeight,
+          Math.max(1, step - 2), barHeight, bar.color).setOrigin(0));
+      });
+      top += chartHeight;
+      objects.push(scene.add.rectangle(x, top, width, 1, 0xffffff, 0.4).setOrigin(0));
+      const [left, right] = chart.axis || [];
+      if (left) text(x, top + 3, left);
+      if (right) {
+        const label = text(x + width, top + 3, right);
+        label.setX(x + width - label.width);
+      }
+      return objects;
+    }
+    const labelWidth = Math.min(220, width * 0.4);
+    const valueWidth = 110;
+    const barArea = Math.max(20, width - labelWidth - valueWidth - 10);
+    chart.bars.forEach((bar) => {
+      const label = text(x, top, bar.label);
+      const rowHeight = label.height + 4;
+      objects.push(scene.add.rectangle(x + labelWidth, top + 2, Math.max(1, (bar.value / max) * barArea),
+        rowHeight - 6, bar.color).setOrigin(0));
+      text(x + labelWidth + Math.max(1, (bar.value / max) * barArea) + 6, top, bar.valueLabel || String(bar.value));
+      top += rowHeight;
+    });
+    return objects;
+  }
+
+  // -------- Rich text --------
+  // Overlay bodies are markdown-style text rendered into DOM nodes:
+  // paragraphs are separated by blank lines (single line breaks are kept),
+  // lines starting with `- ` or `* ` make a bullet list and `1. ` a
+  // numbered one, ```lang fences make a highlighted code block (see
+  // createCodeBlock) and a line holding only ![alt](src) shows an image,
+  // e.g. a diagram from assets/diagrams. Inline, **bold**, *italic*,
+  // `code` and [links](url) are understood; links open in a new tab.
+  // Nodes are built with textContent, never innerHTML, so manifest and
+  // locale text cannot inject markup.
+  const RICH_FENCE = /^```\s*([\w+-]*)\s*$/;
+  const RICH_IMAGE = /^!\[([^\]]*)\]\(([^)\s]+)\)\s*$/;
+  const RICH_LIST_ITEM = /^\s*(?:[-*]|\d+\.)\s+/;
+  const RICH_INLINE = /\*\*(?!\s)(.+?)(?<!\s)\*\*|\*(?!\s)([^*]+?)(?<!\s)\*|`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+  // Keeps relative URLs and http(s)/mailto links; anything else (e.g.
+  // `javascript:`) becomes a dead link
+  function safeUrl(url) {
+    return /^[a-z][\w+.-]*:/i.test(url) && !/^(https?|mailto):/i.test(url) ? '#' : url;
+  }
+
+  function appendInline(parent, text) {
+    let last = 0;
+    for (const match of text.matchAll(RICH_INLINE)) {
+      const [, bold, italic, code, label, href] = match;
+      parent.append(text.slice(last, match.index));
+      let node;
+      if (bold !== undefined) {
+        node = document.createElement('strong');
+        appendInline(node, bold);
+      } else if (italic !== undefined) {
+        node = document.createElement('em');
+        appendInline(node, italic);
+      } else if (code !== undefined) {
+        node = document.createElement('code');
+        node.textContent = code;
+      } else {
+        node = document.createElement('a');
+        node.textContent = label;
+        node.href = safeUrl(href);
+        node.target = '_blank';
+        node.rel = 'noopener noreferrer';
+      }
+      parent.appendChild(node);
+      last = match.index + match[0].length;
+    }
+    parent.append(text.slice(last));
+  }
+
+  function renderRichText(text) {
+    const root = document.createElement('div');
+    root.className = 'rich-text';
+    const lines = String(text).split('\n');
+    const startsBlock = (line) => RICH_FENCE.test(line) || RICH_IMAGE.test(line) || RICH_LIST_ITEM.test(line);
+    let i = 0;
+    while (i < lines.length) {
+      const line = lines[i];
+      const fence = line.match(RICH_FENCE);
+      const image = line.match(RICH_IMAGE);
+      if (fence) {
+        const code = [];
+        for (i += 1; i < lines.length && !/^```\s*$/.test(lines[i]); i += 1) code.push(lines[i]);
+        i += 1; // closing fence
+        root.appendChild(createCodeBlock(code.join('\n'), fence[1]).node);
+      } else if (image) {
+        const img = document.createElement('img');
+        img.alt = image[1];
+        img.src = safeUrl(image[2]);
+        root.appendChild(img);
+        i += 1;
+      } else if (RICH_LIST_ITEM.test(line)) {
+        const ordered = /^\s*\d/.test(line);
+        const list = document.createElement(ordered ? 'ol' : 'ul');
+        for (; i < lines.length && RICH_LIST_ITEM.test(lines[i]) && /^\s*\d/.test(lines[i]) === ordered; i += 1) {
+          const item = document.createElement('li');
+          appendInline(item, lines[i].replace(RICH_LIST_ITEM, ''));
+          list.appendChild(item);
+        }
+        root.appendChild(list);
+      } else if (!line.trim()) {
+        i += 1;
+      } else {
+        const paragraph = document.createElement('p');
+        for (let first = true; i < lines.length && lines[i].trim() && !startsBlock(lines[i]); i += 1) {
+          if (!first) paragraph.appendChild(document.createElement('br'));
+          appendInline(paragraph, lines[i]);
+          first = false;
+        }
+        root.appendChild(paragraph);
+      }
+    }
+    return root;
+  }
+
+  // The same text with the markup removed, for speech synthesis
+  function plainText(text) {
+    let plain = String(text)
+      .split('\n')
+      .filter((line) => !RICH_FENCE.test(line))
+      .map((line) => line.replace(RICH_IMAGE, '$1').replace(RICH_LIST_ITEM, ''))
+      .join('\n');
+    // Repeated for markup nested in bold or italic text
+    for (let previous; previous !== plain;) {
+      previous = plain;
+      plain = plain.replace(RICH_INLINE, (match, bold, italic, code, label) => bold || italic || code || label);
+    }
+    return plain;
+  }
+
+  // Syntax highlighting rules per language, as [token class, pattern]
+  // pairs tried in order; earlier rules win where they overlap, so
+  // comments and strings come first. Patterns must not capture. Each
+  // token becomes a `tok-<class>` span styled in index.html.
+  const JS_HIGHLIGHT = [
+    ['comment', /\/\/[^\n]*|\/\*[\s\S]*?\*\//],
+    ['string', /'(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*"|`(?:\\[\s\S]|[^`\\])*`/],
+    ['keyword', /\b(?:async|await|break|case|catch|class|const|continue|default|delete|do|else|export|extends|finally|for|from|function|if|import|in|instanceof|let|new|of|return|static|super|switch|this|throw|try|typeof|var|void|while|yield)\b/],
+    ['literal', /\b(?:true|false|null|undefined|NaN|Infinity)\b/],
+    ['number', /\b(?:0[xX][\da-fA-F_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?n?)\b/],
+    ['function', /\b[A-Za-z_$][\w$]*(?=\s*\()/],
+  ];
+  const HIGHLIGHT_RULES = {
+    js: JS_HIGHLIGHT,
+    ts: [
+      ...JS_HIGHLIGHT.slice(0, 2),
+      ['keyword', /\b(?:abstract|as|declare|enum|implements|interface|keyof|namespace|private|protected|public|readonly|satisfies|type)\b/],
+      ['type', /\b(?:any|bigint|boolean|never|number|object|string|symbol|unknown)\b|\b[A-Z]\w*\b/],
+      ...JS_HIGHLIGHT.slice(2),
+    ],
+    rust: [
+      ['comment', /\/\/[^\n]*|\/\*[\s\S]*?\*\//],
+      ['string', /b?r#*"[\s\S]*?"#*|b?"(?:\\[\s\S]|[^"\\])*"|b?'(?:\\.|[^'\\])'/],
+      ['meta', /#!?\[[^\]\n]*\]/],
+      ['type', /'[a-z_]\w*\b(?!')|\b(?:Self|[A-Z]\w*|[iu](?:8|16|32|64|128|size)|f32|f64|bool|char|str)\b/],
+      ['keyword', /\b(?:as|async|await|break|const|continue|crate|dyn|else|enum|extern|fn|for|if|impl|in|let|loop|match|mod|move|mut|pub|ref|return|self|static|struct|super|trait|type|unsafe|use|where|while)\b/],
+      ['literal', /\b(?:true|false)\b/],
+      ['number', /\b(?:0[xob][\da-fA-F_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?)(?:[iu](?:8|16|32|64|128|size)|f32|f64)?\b/],
+      ['function', /\b[a-z_]\w*!(?!=)|\b[a-z_]\w*(?=\s*\()/],
+    ],
+    shell: [
+      ['comment', /(?<!\S)#[^\n]*/],
+      ['prompt', /^\s*\$(?=\s)/],
+      ['string', /'[^']*'|"(?:\\.|[^"\\])*"/],
+      ['variable', /\$\{[^}\n]*\}|\$\w+/],
+      ['keyword', /\b(?:case|do|done|elif|else|esac|export|fi|for|function|if|in|then|while)\b(?![\w@/.-])/],
+      ['function', /(?<=(?:^\s*\$\s+|[|;&]\s*))[A-Za-z_][\w.-]*/],
+      ['flag', /(?<![\w-])--?[A-Za-z][\w-]*/],
+    ],
+  };
+  const HIGHLIGHT_ALIASES = {
+    javascript: 'js', jsx: 'js', mjs: 'js', cjs: 'js',
+    typescript: 'ts', tsx: 'ts',
+    rs: 'rust',
+    sh: 'shell', bash: 'shell', zsh: 'shell', console: 'shell',
+  };
+  // Each language's rules joined into one regex with a group per rule
+  const highlighters = {};
+  Object.entries(HIGHLIGHT_RULES).forEach(([language, rules]) => {
+    highlighters[language] = {
+      classes: rules.map(([name]) => name),
+      pattern: new RegExp(rules.map(([, rule]) => `(${rule.source})`).join('|'), 'gm'),
+    };
+  });
+
+  function codeLanguage(name) {
+    const key = String(name || '').toLowerCase();
+    const language = HIGHLIGHT_ALIASES[key] || key;
+    return highlighters[language] ? language : null;
+  }
+
+  // Highlighted DOM nodes for `code`; unknown languages stay plain text
+  function highlightCode(code, language) {
+    const fragment = document.createDocumentFragment();
+    const highlighter = highlighters[codeLanguage(language)];
+    if (!highlighter) {
+      fragment.append(code);
+      return fragment;
+    }
+    let last = 0;
+    for (const match of code.matchAll(highlighter.pattern)) {
+      const group = match.findIndex((value, index) => index > 0 && value !== undefined);
+      const token = document.createElement('span');
+      token.className = `tok-${highlighter.classes[group - 1]}`;
+      token.textContent = match[0];
+      fragment.append(code.slice(last, match.index), token);
+      last = match.index + match[0].length;
+    }
+    fragment.append(code.slice(last));
+    return fragment;
+  }
+
+  // Writes text to the clipboard. The Clipboard API needs a secure
+  // context, so file:// and plain http fall back to execCommand.
+  function copyText(text) {
+    if (navigator.clipboard && window.isSecureContext) return navigator.clipboard.writeText(text);
+    return new Promise((resolve, reject) => {
+      const focused = document.activeElement;
+      const area = document.createElement('textarea');
+      area.value = text;
+      area.setAttribute('readonly', '');
+      area.style.position = 'fixed';
+      area.style.opacity = '0';
+      document.body.appendChild(area);
+      area.select();
+      let copied = false;
+      try {
+        copied = document.execCommand('copy');
+      } catch (err) {
+        // unsupported; reported below
+      }
+      area.remove();
+      if (focused) focused.focus();
+      if (copied) resolve();
+      else reject(new Error('Copy is not supported here'));
+    });
+  }
+
+  // Builds a highlighted code block with a Copy button and returns
+  // { node, setCode }; setCode replaces the code (e.g. after a station
+  // run). Copying a shell block with `$ ` prompts copies just the
+  // commands, without the prompts or their output.
+  function createCodeBlock(code, language) {
+    const lang = codeLanguage(language);
+    const node = document.createElement('div');
+    node.className = 'code-block';
+    node.dir = 'ltr';
+    const pre = document.createElement('pre');
+    const codeElement = document.createElement('code');
+    pre.appendChild(codeElement);
+    const copy = document.createElement('button');
+    copy.type = 'button';
+    copy.className = 'copy-button';
+    copy.textContent = t('overlay.copy');
+    node.append(copy, pre);
+    let text = '';
+    let resetLabel;
+    const flash = (label) => {
+      copy.textContent = label;
+      clearTimeout(resetLabel);
+      resetLabel = setTimeout(() => {
+        copy.textContent = t('overlay.copy');
+      }, 1500);
+    };
+    copy.addEventListener('click', () => {
+      const lines = text.split('\n');
+      const commands = lines.filter((line) => /^\s*\$\s/.test(line));
+      const copied = lang === 'shell' && commands.length
+        ? commands.map((line) => line.replace(/^\s*\$\s+/, '')).join('\n')
+        : text;
+      copyText(copied).then(() => flash(t('overlay.copied')), () => flash(t('overlay.copyFailed')));
+    });
+    const setCode = (value) => {
+      text = String(value);
+      codeElement.textContent = '';
+      codeElement.appendChild(highlightCode(text, lang));
+    };
+    setCode(code);
+    return { node, setCode };
+  }
+
+  // Helper to create overlay panels. Only one overlay is on screen at a
+  // time: one requested while another is open waits in overlayQueue and
+  // opens when the previous one closes (queued overlays of a scene that
+  // shuts down are dropped). While an overlay is open the scene's physics
+  // is paused; GameplayScene stops moving the robot and checking attacks,
+  // and Hazards pauses the enemy patrols with it.
+  // Overlays block input to the rest of the game until dismissed with the
+  // Close button, Enter or Escape. The function accepts a scene, a title,
+  // body text (markdown-style, see renderRichText) and optional
+  // code/output sections; `language` ('js', 'ts', 'rust' or 'shell')
+  // highlights the code. Passing `inputs` (see createInputForm) and
+  // `onRun` adds an editable form: submitting it calls `onRun(values,
+  // action, signal)`, which resolves to the new `{ code, output, charts }`
+  // or rejects with an error shown in place of the output. While a run is
+  // pending a spinner and a Cancel button show; a failed run offers Retry.
+  // `signal` aborts when the run is cancelled, replaced or the overlay
+  // closes. With `autorun`, onRun is called with `values` as soon as the
+  // overlay opens (inputs are optional then). `charts` (see drawBarChart)
+  // are drawn below the output. Each of the optional `actions` ({ name,
+  // label }) adds a button to the form that calls `onRun(values, name)`.
+  // Any other interactive content can be passed as a DOM `element`
+  // instead of inputs. Everything below the title scrolls (mouse wheel,
+  // dragging or the up/down arrows) when it does not fit the panel. It
+  // returns a promise that resolves once the overlay has been dismissed,
+  // or once its scene shuts down (whether it was on screen or queued).
+  function createOverlay(scene, options) {
     return new Promise((resolve) => {
-      const width = scene.scale.width;
-      const height = scene.scale.height;
-      const overlay = scene.add.container(0, 0);
-      // Semi‑transparent background
-      const bg = scene.add.rectangle(0, 0, width, height, 0x000000, 0.8)
-        .setOrigin(0);
-      overlay.add(bg);
-      const panelWidth = Math.min(700, width * 0.8);
-      const panelHeight = Math.min(500, height * 0.8);
-      const panelX = (width - panelWidth) / 2;
-      const panelY = (height - panelHeight) / 2;
-      const panel = scene.add.rectangle(panelX, panelY, panelWidth, panelHeight, 0x18202a, 0.95)
-        .setOrigin(0);
-      overlay.add(panel);
-      // Title
-      const titleText = scene.add.text(panelX + 20, panelY + 20, title, {
-        fontSize: '28px',
+      if (!openOverlays.length) {
+        showOverlay(scene, options, resolve);
+        return;
+      }
+      // A queued overlay whose scene shuts down is never shown, but its
+      // promise still settles
+      const drop = () => {
+        Phaser.Utils.Array.Remove(overlayQueue, queued);
+        resolve();
+      };
+      const queued = {
+        show: () => {
+          scene.events.off('shutdown', drop);
+          showOverlay(scene, options, resolve);
+        },
+      };
+      overlayQueue.push(queued);
+      scene.events.once('shutdown', drop);
+    });
+  }
+
+  // Builds and shows an overlay for createOverlay, calling `resolve` once
+  // it is dismissed or its scene shuts down
+  function showOverlay(scene, { title, body, code, language, output, charts, inputs, values, actions, onRun, autorun, element, narration }, resolve) {
+    // Entry in openOverlays; `mirror` holds the text shown to screen
+    // readers
+    const entry = { title, mirror: { title, body, code, output } };
+    const width = scene.scale.width;
+    const height = scene.scale.height;
+    const highContrast = a11y.highContrast;
+    // Text is anchored to the right edge of the panel in right-to-left
+    // languages
+    const rtl = isRtl();
+    const place = (text) => {
+      if (rtl) text.setRTL(true).setOrigin(1, 0);
+      return text;
+    };
+    const fontSize = (px) => `${Math.round(px * (highContrast ? 1.3 : 1))}px`;
+    const colors = highContrast
+      ? { body: '#ffffff', output: '#00ff66', error: '#ff6666' }
+      : { body: '#d0d0d0', output: '#d0ffce', error: '#ff8a80' };
+    const overlay = scene.add.container(0, 0);
+    // Semi‑transparent background
+    const bg = scene.add.rectangle(0, 0, width, height, 0x000000, highContrast ? 0.95 : 0.8)
+      .setOrigin(0);
+    overlay.add(bg);
+    const panelWidth = Math.min(highContrast ? 900 : 700, width * (highContrast ? 0.9 : 0.8));
+    const panelHeight = Math.min(highContrast ? 650 : 500, height * (highContrast ? 0.9 : 0.8));
+    const panelX = (width - panelWidth) / 2;
+    const panelY = (height - panelHeight) / 2;
+    const panel = scene.add.rectangle(panelX, panelY, panelWidth, panelHeight,
+      highContrast ? 0x000000 : 0x18202a, highContrast ? 1 : 0.95)
+      .setOrigin(0)
+      .setInteractive();
+    if (highContrast) panel.setStrokeStyle(3, 0xffffff);
+    overlay.add(panel);
+    // Title
+    const textX = rtl ? panelX + panelWidth - 20 : panelX + 20;
+    const titleText = scene.add.text(textX, panelY + 20, title, {
+      fontSize: fontSize(28),
+      fontFamily: 'Arial',
+      color: '#ffffff',
+      wordWrap: { width: panelWidth - 40 },
+    });
+    overlay.add(place(titleText));
+    // Everything below the title scrolls within the view between the
+    // title and the Close button. The body, form and code are DOM blocks
+    // stacked first; the output and charts are canvas objects in a masked
+    // container below them. layout() restacks everything whenever a block
+    // changes height (a run, an image loading).
+    const viewTop = titleText.y + titleText.height + 10;
+    const viewBottom = panelY + panelHeight - 55;
+    const content = scene.add.container(0, 0);
+    const maskShape = scene.make.graphics({ add: false }).setScrollFactor(0);
+    maskShape.fillStyle(0xffffff);
+    maskShape.fillRect(panelX, viewTop, panelWidth, viewBottom - viewTop);
+    content.setMask(maskShape.createGeometryMask());
+    const blocks = [];
+    const addBlock = (node) => {
+      node.style.width = `${panelWidth - 40}px`;
+      const block = scene.add.dom(panelX + 20, viewTop, node).setOrigin(0).setScrollFactor(0);
+      blocks.push(block);
+      return block;
+    };
+    // The canvas only sees the wheel outside DOM blocks, so text blocks
+    // forward it
+    const forwardWheel = (node) => node.addEventListener('wheel', (event) => {
+      event.preventDefault();
+      scrollTo(scroll + event.deltaY);
+    }, { passive: false });
+    // Body
+    if (body) {
+      const bodyNode = renderRichText(body);
+      bodyNode.dir = rtl ? 'rtl' : 'ltr';
+      bodyNode.querySelectorAll('img').forEach((img) => img.addEventListener('load', () => layout()));
+      forwardWheel(bodyNode);
+      addBlock(bodyNode);
+    }
+    let codeBlock;
+    let outputText;
+    let formElement;
+    const hasInputs = Boolean(inputs && inputs.length);
+    if (hasInputs || element) {
+      formElement = addBlock(hasInputs ? createInputForm(inputs, values, panelWidth - 40, actions) : element);
+      lendKeyboardToDom(scene);
+    }
+    if (code) {
+      codeBlock = createCodeBlock(code, language);
+      forwardWheel(codeBlock.node);
+      addBlock(codeBlock.node);
+    }
+    if (output || onRun) {
+      outputText = scene.add.text(textX, viewTop, output || '', {
+        fontSize: fontSize(16),
+        fontFamily: 'Courier New',
+        color: colors.output,
+        wordWrap: { width: panelWidth - 40 }
+      });
+      content.add(place(outputText));
+    }
+    // Charts drawn below the output, replaced on every run
+    let chartObjects = [];
+    let chartTop = 0;
+    function showCharts(list) {
+      chartObjects.forEach((object) => object.destroy());
+      chartObjects = [];
+      chartTop = outputText.y + outputText.height + 10;
+      let chartY = chartTop;
+      (list || []).forEach((chart) => {
+        const objects = drawBarChart(scene, panelX + 20, chartY, panelWidth - 40, chart, {
+          fontSize: fontSize(13),
+          color: colors.body,
+        });
+        objects.forEach((object) => object.setScrollFactor(0));
+        content.add(objects);
+        chartObjects.push(...objects);
+        chartY = Math.max(...objects.map((object) => object.y + object.height)) + 14;
+      });
+    }
+    if (outputText) showCharts(charts);
+    // Stacks the DOM blocks from the top of the view, then the output
+    // and charts below them
+    function layout() {
+      let y = viewTop;
+      blocks.forEach((block) => {
+        block.layoutY = y;
+        y += block.node.offsetHeight + 10;
+      });
+      if (outputText) {
+        outputText.y = y;
+        const top = outputText.y + outputText.height + 10;
+        chartObjects.forEach((object) => {
+          object.y += top - chartTop;
+        });
+        chartTop = top;
+      }
+      scrollTo(scroll);
+    }
+    // Replaces the output section and charts. Errors are shown in red.
+    function showOutput(text, isError, newCharts) {
+      outputText.setColor(isError ? colors.error : colors.output);
+      outputText.setText(text);
+      showCharts(newCharts);
+      entry.mirror.output = text;
+      mirrorOverlay();
+      layout();
+    }
+    // Scrolling. The scrollbar on the right edge only shows when the
+    // content is taller than the view.
+    let scroll = 0;
+    const viewHeight = viewBottom - viewTop;
+    const scrollTrack = scene.add.rectangle(panelX + panelWidth - 8, viewTop, 4, viewHeight, 0xffffff, 0.15)
+      .setOrigin(0.5, 0);
+    const scrollThumb = scene.add.rectangle(panelX + panelWidth - 8, viewTop, 4, viewHeight, 0xffffff, 0.6)
+      .setOrigin(0.5, 0);
+    overlay.add([scrollTrack, scrollThumb]);
+    const maxScroll = () => {
+      const bottom = Math.max(viewTop, ...content.list.map((item) => item.y + item.height),
+        ...blocks.map((block) => block.layoutY + block.node.offsetHeight));
+      return Math.max(0, bottom - viewBottom);
+    };
+    function scrollTo(value) {
+      const max = maxScroll();
+      scroll = Phaser.Math.Clamp(value, 0, max);
+      content.y = -scroll;
+      // DOM elements ignore canvas masks, so clip each block to the view
+      blocks.forEach((block) => {
+        const y = block.layoutY - scroll;
+        const blockHeight = block.node.offsetHeight;
+        block.y = y;
+        const clipTop = Math.max(0, viewTop - y);
+        const clipBottom = Math.max(0, y + blockHeight - viewBottom);
+        block.node.style.clipPath = `inset(${clipTop}px 0 ${clipBottom}px 0)`;
+        block.node.style.visibility = clipTop + clipBottom >= blockHeight ? 'hidden' : '';
+      });
+      scrollTrack.visible = scrollThumb.visible = max > 0;
+      scrollThumb.height = viewHeight * viewHeight / (viewHeight + max);
+      scrollThumb.y = viewTop + (max ? (scroll / max) * (viewHeight - scrollThumb.height) : 0);
+    }
+    const onWheel = (pointer, objects, dx, dy) => scrollTo(scroll + dy);
+    scene.input.on('wheel', onWheel);
+    panel.on('pointermove', (pointer) => {
+      if (pointer.isDown) scrollTo(scroll - (pointer.y - pointer.prevPosition.y));
+    });
+    // Close button
+    const button = scene.add.text(panelX + panelWidth - 80, panelY + panelHeight - 40, t('close'), {
+      fontSize: fontSize(20),
+      fontFamily: 'Arial',
+      color: '#ffffff',
+      backgroundColor: '#247ba0',
+      padding: { left: 10, right: 10, top: 5, bottom: 5 },
+    }).setInteractive({ useHandCursor: true });
+    button.setX(panelX + panelWidth - 20 - button.width);
+    overlay.add(button);
+    // Runs onRun with the form's values (or `values` without a form).
+    // Only the latest run may update the output; starting another,
+    // cancelling or closing aborts the pending one.
+    let pending = null;
+    let lastAction;
+    let spin;
+    const run = (action) => {
+      let newValues = values;
+      if (hasInputs) {
+        try {
+          newValues = readInputForm(formElement.node, inputs);
+        } catch (err) {
+          showOutput(t('error', { message: err.message }), true);
+          return;
+        }
+      }
+      if (pending) pending.abort();
+      const controller = new AbortController();
+      pending = controller;
+      lastAction = action;
+      setRunState('running');
+      showOutput(t('running'));
+      onRun(newValues, action, controller.signal).then((result) => {
+        if (pending !== controller) return; // replaced, cancelled or closed
+        pending = null;
+        setRunState('idle');
+        if (codeBlock) {
+          codeBlock.setCode(result.code);
+          entry.mirror.code = result.code;
+        }
+        showOutput(result.output, false, result.charts);
+      }, (err) => {
+        if (pending !== controller) return;
+        pending = null;
+        setRunState('failed');
+        showOutput(t('error', { message: err.message }), true);
+      });
+    };
+    // Run status at the bottom left: a spinner and Cancel while a run is
+    // pending, Retry once one has failed or been cancelled
+    let setRunState = () => {};
+    if (onRun) {
+      const barY = panelY + panelHeight - 40;
+      const spinner = scene.add.graphics({ x: panelX + 34, y: barY + 15 });
+      spinner.lineStyle(4, 0x4fd5ff);
+      spinner.beginPath();
+      spinner.arc(0, 0, 10, 0, Math.PI * 1.5);
+      spinner.strokePath();
+      spin = scene.tweens.add({ targets: spinner, angle: 360, duration: 800, repeat: -1, paused: true });
+      const barButton = (x, label) => scene.add.text(x, barY, label, {
+        fontSize: fontSize(20),
         fontFamily: 'Arial',
         color: '#ffffff',
-        wordWrap: { width: panelWidth - 40 },
+        backgroundColor: '#5d0b0b',
+        padding: { left: 10, right: 10, top: 5, bottom: 5 },
+      }).setInteractive({ useHandCursor: true });
+      const cancelButton = barButton(panelX + 56, t('station.cancel')).on('pointerdown', () => {
+        if (!pending) return;
+        pending.abort();
+        pending = null;
+        setRunState('failed');
+        showOutput(t('station.cancelled'), true);
       });
-      overlay.add(titleText);
-      // Body
-      const bodyY = titleText.y + titleText.height + 10;
-      const bodyText = scene.add.text(panelX + 20, bodyY, body, {
-        fontSize: '18px',
-        fontFamily: 'Arial',
-        color: '#d0d0d0',
-        wordWrap: { width: panelWidth - 40 }
+      const retryButton = barButton(panelX + 20, t('station.retry')).on('pointerdown', () => run(lastAction));
+      overlay.add([spinner, cancelButton, retryButton]);
+      setRunState = (state) => {
+        spinner.visible = cancelButton.visible = state === 'running';
+        retryButton.visible = state === 'failed';
+        if (state === 'running') spin.resume();
+        else spin.pause();
+      };
+      setRunState('idle');
+    }
+    if (hasInputs) {
+      const form = formElement.node;
+      form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        run();
       });
-      overlay.add(bodyText);
-      let codeText;
-      let outputText;
-      let nextY = bodyText.y + bodyText.height + 10;
-      if (code) {
-        codeText = scene.add.text(panelX + 20, nextY, code, {
-          fontSize: '16px',
-          fontFamily: 'Courier New',
-          color: '#8bf0ff',
-          wordWrap: { width: panelWidth - 40 }
+      form.querySelectorAll('button[data-action]').forEach((actionButton) => {
+        actionButton.addEventListener('click', () => run(actionButton.dataset.action));
+      });
+    }
+    // Keyboard: Escape closes, Enter closes unless a form control, button
+    // or link has focus (Enter runs, presses or follows it) and the arrows
+    // scroll. Only the top overlay reacts.
+    const onKey = (event) => {
+      if (openOverlays[openOverlays.length - 1] !== entry) return;
+      const target = event.target instanceof Element ? event.target : null;
+      const inField = Boolean(target && target.closest('input, select, textarea'));
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        entry.close();
+      } else if (event.key === 'Enter' && !inField && !(target && target.closest('button, a'))) {
+        event.preventDefault();
+        entry.close();
+      } else if ((event.key === 'ArrowDown' || event.key === 'ArrowUp') && !inField) {
+        scrollTo(scroll + (event.key === 'ArrowDown' ? 40 : -40));
+      }
+    };
+    window.addEventListener('keydown', onKey);
+    // Move focus into the overlay: the first form control, else the
+    // screen-reader mirror, and give it back on close
+    const previousFocus = document.activeElement;
+    // Tears the overlay down. Also runs if the scene shuts down with the
+    // overlay still open (e.g. the presenter advanced the scene) so the
+    // keyboard is never left disabled.
+    let closed = false;
+    const cleanup = () => {
+      closed = true;
+      scene.events.off('shutdown', onShutdown);
+      window.removeEventListener('keydown', onKey);
+      audio.stopNarration();
+      if (pending) pending.abort();
+      pending = null;
+      if (spin) spin.remove();
+      scene.input.off('wheel', onWheel);
+      Phaser.Utils.Array.Remove(openOverlays, entry);
+      blocks.forEach((block) => block.destroy());
+      if (formElement) reclaimKeyboard(scene);
+      content.destroy();
+      maskShape.destroy();
+      overlay.destroy();
+      // The world is already gone when the scene is shutting down
+      if (!openOverlays.length && scene.physics.world) scene.physics.resume();
+      mirrorOverlay();
+      if (previousFocus && previousFocus.isConnected && previousFocus !== document.body) {
+        previousFocus.focus();
+      } else if (document.activeElement) {
+        document.activeElement.blur();
+      }
+    };
+    entry.close = () => {
+      if (closed) return;
+      cleanup();
+      const next = overlayQueue.shift();
+      if (next) next.show();
+      presenterLink.publish();
+      resolve();
+    };
+    // The promise settles on shutdown too, so callers can release their
+    // state (e.g. stop capturing a key binding)
+    const onShutdown = () => {
+      cleanup();
+      resolve();
+    };
+    openOverlays.push(entry);
+    scene.physics.pause();
+    scene.events.once('shutdown', onShutdown);
+    button.on('pointerdown', entry.close);
+    // The overlay stays on screen however far the camera has scrolled
+    overlay.setScrollFactor(0, 0, true).setDepth(20);
+    content.setScrollFactor(0, 0, true).setDepth(20);
+    audio.play('overlay');
+    audio.narrate({ title, body: body && plainText(body), narration });
+    layout();
+    mirrorOverlay();
+    const firstControl = formElement && formElement.node.querySelector('input, select, button');
+    if (firstControl) {
+      firstControl.focus();
+    } else {
+      const region = document.getElementById('overlay-a11y');
+      if (region) region.focus();
+    }
+    presenterLink.publish();
+    if (autorun && onRun) run();
+  }
+
+  // Let the audience type freely into DOM forms: stop the game reacting to
+  // keys and swallowing SPACE/arrows until reclaimKeyboard() is called
+  function lendKeyboardToDom(scene) {
+    scene.input.keyboard.enabled = false;
+    scene.input.keyboard.disableGlobalCapture();
+  }
+
+  function reclaimKeyboard(scene) {
+    scene.input.keyboard.enabled = true;
+    scene.input.keyboard.enableGlobalCapture();
+    scene.input.keyboard.resetKeys();
+  }
+
+  // Builds the HTML form for an overlay's editable inputs. Each input is
+  // `{ name, label, type, default, options, min, max }` where type is one
+  // of 'text', 'number', 'boolean', 'select' or 'json'. `values` holds the
+  // current value for each name, falling back to the input's default.
+  // Each action ({ name, label }) adds a button next to Run.
+  function createInputForm(inputs, values, width, actions) {
+    const form = document.createElement('form');
+    form.className = 'overlay-form';
+    form.style.width = `${width}px`;
+    inputs.forEach((input) => {
+      const value = values && input.name in values ? values[input.name] : input.default;
+      const label = document.createElement('label');
+      label.textContent = input.label || input.name;
+      let control;
+      if (input.type === 'select') {
+        control = document.createElement('select');
+        (input.options || []).forEach((option) => {
+          control.add(new Option(option, option, false, option === value));
+        });
+      } else {
+        control = document.createElement('input');
+        if (input.type === 'boolean') {
+          control.type = 'checkbox';
+          control.checked = Boolean(value);
+        } else if (input.type === 'number') {
+          control.type = 'number';
+          if (input.min !== undefined) control.min = input.min;
+          if (input.max !== undefined) control.max = input.max;
+          control.value = value;
+        } else {
+          control.type = 'text';
+          control.value = input.type === 'json' ? JSON.stringify(value) : value;
+        }
+      }
+      control.name = input.name;
+      label.appendChild(control);
+      form.appendChild(label);
+    });
+    const run = document.createElement('button');
+    run.type = 'submit';
+    run.textContent = t('run');
+    form.appendChild(run);
+    (actions || []).forEach((action) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.dataset.action = action.name;
+      button.textContent = action.label;
+      form.appendChild(button);
+    });
+    return form;
+  }
+
+  // Reads and validates the values of a form built by createInputForm.
+  // Throws an Error naming the offending field if a value is invalid.
+  function readInputForm(form, inputs) {
+    const values = {};
+    inputs.forEach((input) => {
+      const control = form.elements[input.name];
+      const name = input.label || input.name;
+      if (input.type === 'boolean') {
+        values[input.name] = control.checked;
+      } else if (input.type === 'number') {
+        const num = Number(control.value);
+        if (control.value.trim() === '' || !Number.isInteger(num)) {
+          throw new Error(t('form.wholeNumber', { name }));
+        }
+        if (input.min !== undefined && num < input.min) {
+          throw new Error(t('form.min', { name, min: input.min }));
+        }
+        if (input.max !== undefined && num > input.max) {
+          throw new Error(t('form.max', { name, max: input.max }));
+        }
+        values[input.name] = num;
+      } else if (input.type === 'json') {
+        try {
+          values[input.name] = JSON.parse(control.value);
+        } catch (err) {
+          throw new Error(t('form.json', { name, message: err.message }));
+        }
+      } else {
+        values[input.name] = control.value;
+      }
+    });
+    return values;
+  }
+
+  // Level files loaded by BootScene, keyed by the name gameplay scenes use
+  // to refer to them. Each file follows the `platform_level_example.json`
+  // format: `tileWidth`, `tileHeight`, `width`, `height` and a `data` grid
+  // of tile indices where -1 means empty, plus an optional `objects` layer
+  // (see LEVEL_OBJECT_TYPES) and `decor` grids drawn without bodies. Tiled
+  // JSON maps (.tmj) work too; BootScene converts them with fromTiledMap().
+  const LEVEL_FILES = {
+    level1: 'assets/platform_level_example.json',
+    // Flat ground for the scenes whose signposts and stations are spread
+    // along the whole level; crates there would block the path
+    pathLevel: 'assets/path_level.json',
+  };
+
+  // Why a level failed BootScene's checks, by level key. Scenes built from
+  // such a level show the message instead of the level and the editor
+  // opens another one.
+  const levelErrors = {};
+
+  // Maps level tile indices to frame names in the `platform` atlas. Indices
+  // count tiles left to right, top to bottom across the tileset image, so
+  // the lookup is derived from each frame's position rather than hardcoded.
+  // Adding a frame to platform_tileset_atlas.json makes it usable in levels.
+  function getTileFrames(scene, tileWidth, tileHeight) {
+    const texture = scene.textures.get('platform');
+    const columns = Math.floor(texture.source[0].width / tileWidth);
+    const frames = [];
+    texture.getFrameNames().forEach((name) => {
+      const frame = texture.get(name);
+      const col = Math.floor(frame.cutX / tileWidth);
+      const row = Math.floor(frame.cutY / tileHeight);
+      frames[row * columns + col] = name;
+    });
+    return frames;
+  }
+
+  // Tiles with these frames hurt the robot instead of holding it up
+  const HAZARD_FRAMES = ['spikes'];
+
+  // Things a level's `objects` layer can place, each at a `col` and `row`.
+  // Benefits and stations name their manifest entry with `key`, signposts
+  // their BuildScene step index with `step`; there is one spawn. Scenes
+  // fall back to the manifest's positions (or even spacing) for anything
+  // the layer leaves out. A collider is an invisible solid block `cols`
+  // wide and `rows` high.
+  const LEVEL_OBJECT_TYPES = ['spawn', 'benefit', 'signpost', 'station', 'collider'];
+
+  // Checks that a parsed level file has the fields buildLevel() needs and
+  // a well-formed objects layer. Given the atlas `frames` (see
+  // getTileFrames), every tile index must also name one of them, and given
+  // the number of BuildScene steps, every signpost's `step` must be one of
+  // them. Throws an Error describing the first problem found.
+  function validateLevel(level, frames, stepCount) {
+    const isCount = (value) => Number.isInteger(value) && value > 0;
+    if (!level || typeof level !== 'object') throw new Error('not a JSON object');
+    ['tileWidth', 'tileHeight', 'width', 'height'].forEach((field) => {
+      if (!isCount(level[field])) throw new Error(`"${field}" must be a positive whole number`);
+    });
+    if (!Array.isArray(level.data) || level.data.length !== level.height) {
+      throw new Error(`"data" must have ${level.height} rows`);
+    }
+    const checkGrid = (grid, name) => grid.forEach((row, r) => {
+      if (!Array.isArray(row) || row.length !== level.width ||
+          !row.every((index) => Number.isInteger(index) && index >= -1)) {
+        throw new Error(`row ${r} of "${name}" must be ${level.width} tile indices`);
+      }
+      const unknown = frames ? row.findIndex((index) => index >= 0 && !frames[index]) : -1;
+      if (unknown >= 0) {
+        throw new Error(`tile index ${row[unknown]} at row ${r}, column ${unknown} of "${name}" is not in the tileset atlas`);
+      }
+    });
+    checkGrid(level.data, 'data');
+    (level.decor || []).forEach((grid, i) => {
+      if (!Array.isArray(grid) || grid.length !== level.height) {
+        throw new Error(`"decor" grid ${i} must have ${level.height} rows`);
+      }
+      checkGrid(grid, `decor ${i}`);
+    });
+    (level.objects || []).forEach((object, i) => {
+      if (!LEVEL_OBJECT_TYPES.includes(object.type)) {
+        throw new Error(`object ${i} has unknown type "${object.type}"`);
+      }
+      if (!Number.isInteger(object.col) || object.col < 0 || object.col >= level.width ||
+          !Number.isInteger(object.row) || object.row < 0 || object.row >= level.height) {
+        throw new Error(`object ${i} is outside the level`);
+      }
+      if (object.type === 'signpost' && (!Number.isInteger(object.step) || object.step < 0 ||
+          (stepCount !== undefined && object.step >= stepCount))) {
+        throw new Error(`signpost ${i} needs a "step" between 0 and ${stepCount === undefined ? 'the last step' : stepCount - 1}`);
+      }
+      if ((object.type === 'benefit' || object.type === 'station') && (typeof object.key !== 'string' || !object.key)) {
+        throw new Error(`${object.type} ${i} needs a "key"`);
+      }
+    });
+    return level;
+  }
+
+  // Tiled stores flip flags in the top bits of each tile GID
+  const TILED_GID_MASK = 0x1fffffff;
+
+  function isTiledMap(json) {
+    return Boolean(json) && json.type === 'map' && Array.isArray(json.layers);
+  }
+
+  // Custom properties of a Tiled map, layer, tile or object as a plain
+  // object ({ name: value })
+  function tiledProperties(owner) {
+    const properties = {};
+    ((owner && owner.properties) || []).forEach(({ name, value }) => {
+      properties[name] = value;
+    });
+    return properties;
+  }
+
+  // Tile GIDs of a Tiled tile layer, row after row. Layers may be stored as
+  // a plain array or uncompressed base64; compressed and infinite maps must
+  // be re-saved with CSV or base64 (uncompressed) layer format.
+  function tiledLayerData(layer) {
+    if (layer.chunks) throw new Error(`layer "${layer.name}": infinite maps are not supported`);
+    if (layer.encoding !== 'base64') return layer.data;
+    if (layer.compression) throw new Error(`layer "${layer.name}": ${layer.compression} compression is not supported`);
+    const bytes = Uint8Array.from(atob(layer.data), (char) => char.charCodeAt(0));
+    const view = new DataView(bytes.buffer);
+    const gids = [];
+    for (let i = 0; i < bytes.length; i += 4) gids.push(view.getUint32(i, true));
+    return gids;
+  }
+
+  // Converts a Tiled JSON map into the level format. Every tileset is taken
+  // to be cut from platform_tileset.png, so a tile's local id is its level
+  // tile index. Tile layers are solid unless their tiles or the layer have
+  // a `collides` property set to false (a tile's own property wins); solid
+  // tiles are merged into `data` and the rest become `decor` grids, so
+  // only colliding tiles get Arcade static bodies. Objects whose type (or
+  // class) is one of LEVEL_OBJECT_TYPES, or that have `collides` set,
+  // fill the objects layer, taking `key` and `step` from their custom
+  // properties or `key` from their name.
+  function fromTiledMap(map) {
+    const { width, height, tilewidth: tileWidth, tileheight: tileHeight } = map;
+    const emptyGrid = () => Array.from({ length: height }, () => new Array(width).fill(-1));
+    const tilesets = (map.tilesets || []).slice().sort((a, b) => b.firstgid - a.firstgid);
+    tilesets.forEach((tileset) => {
+      if (tileset.source) throw new Error(`tileset "${tileset.source}" is external; embed it in the map`);
+    });
+    // Tile index and `collides` property for a GID
+    const lookup = (gid) => {
+      const tileset = tilesets.find((candidate) => candidate.firstgid <= gid);
+      if (!tileset) return null;
+      const id = gid - tileset.firstgid;
+      const tile = (tileset.tiles || []).find((candidate) => candidate.id === id);
+      return { index: id, collides: tiledProperties(tile).collides };
+    };
+    const data = emptyGrid();
+    const decor = [];
+    const objects = [];
+    const visit = (layers) => layers.forEach((layer) => {
+      if (layer.visible === false) return;
+      const properties = tiledProperties(layer);
+      if (layer.type === 'group') {
+        visit(layer.layers || []);
+      } else if (layer.type === 'tilelayer') {
+        const decorGrid = emptyGrid();
+        let hasDecor = false;
+        tiledLayerData(layer).forEach((raw, i) => {
+          const gid = raw & TILED_GID_MASK;
+          const tile = gid && lookup(gid);
+          if (!tile) return;
+          const r = Math.floor(i / width);
+          const c = i % width;
+          const collides = tile.collides !== undefined ? tile.collides : properties.collides !== false;
+          if (collides) {
+            data[r][c] = tile.index;
+          } else {
+            decorGrid[r][c] = tile.index;
+            hasDecor = true;
+          }
+        });
+        if (hasDecor) decor.push(decorGrid);
+      } else if (layer.type === 'objectgroup') {
+        layer.objects.forEach((object) => {
+          const own = tiledProperties(object);
+          const type = own.collides ? 'collider' : object.class || object.type;
+          if (!LEVEL_OBJECT_TYPES.includes(type)) return;
+          // Tile objects are anchored at their bottom left, everything
+          // else at the top left
+          const top = object.gid ? object.y - object.height : object.y;
+          const col = Math.floor((object.x + (object.width || 0) / 2) / tileWidth);
+          const row = Math.floor((top + (object.height || 0) / 2) / tileHeight);
+          const placed = { type };
+          if (type === 'signpost') placed.step = own.step;
+          else if (type === 'benefit' || type === 'station') placed.key = own.key || object.name;
+          if (type === 'collider') {
+            // Colliders cover every cell of the rectangle
+            placed.col = Math.floor(object.x / tileWidth);
+            placed.row = Math.floor(top / tileHeight);
+            placed.cols = Math.max(1, Math.round(object.width / tileWidth));
+            placed.rows = Math.max(1, Math.round(object.height / tileHeight));
+          } else {
+            placed.col = Phaser.Math.Clamp(col, 0, width - 1);
+            placed.row = Phaser.Math.Clamp(row, 0, height - 1);
+          }
+          objects.push(placed);
         });
-        overlay.add(codeText);
-        nextY = codeText.y + codeText.height + 10;
       }
-      if (output) {
-        outputText = scene.add.text(panelX + 20, nextY, output, {
-          fontSize: '16px',
-          fontFamily: 'Courier New',
-          color: '#d0ffce',
-          wordWrap: { width: panelWidth - 40 }
+    });
+    visit(map.layers);
+    return validateLevel({ tileWidth, tileHeight, width, height, data, decor, objects });
+  }
+
+  // Builds a level from its tile grid. Every non-empty cell becomes a
+  // scaled static physics image so the player can stand on it, except
+  // HAZARD_FRAMES tiles, which get a smaller overlap-only body in the
+  // `hazards` group. Tiles are scaled so VIEW_ROWS rows fill the screen
+  // height (never below TILE_SCALE, and at least enough for the level to
+  // span the screen), so levels wider than that scroll. The level sits at
+  // the bottom of a world of `worldWidth` × `worldHeight`. The returned
+  // object exposes the collision groups, the objects layer in world
+  // coordinates plus helpers for placing scene objects in tile coordinates
+  // instead of hardcoded pixels.
+  function buildLevel(scene, levelKey) {
+    const level = scene.cache.json.get(levelKey);
+    const { width, height } = scene.scale;
+    const scale = Math.max(TILE_SCALE, height / (VIEW_ROWS * level.tileHeight),
+      width / (level.width * level.tileWidth));
+    const tileW = level.tileWidth * scale;
+    const tileH = level.tileHeight * scale;
+    const worldWidth = level.width * tileW;
+    const worldHeight = Math.max(height, level.height * tileH);
+    const top = worldHeight - level.height * tileH;
+    const frames = getTileFrames(scene, level.tileWidth, level.tileHeight);
+    const platforms = scene.physics.add.staticGroup();
+    const hazards = scene.physics.add.staticGroup();
+    // Decor tiles are drawn behind the level and have no bodies
+    (level.decor || []).forEach((grid) => grid.forEach((row, r) => {
+      row.forEach((index, c) => {
+        if (frames[index]) scene.add.image(c * tileW, top + r * tileH, 'platform', frames[index]).setScale(scale).setOrigin(0);
+      });
+    }));
+    level.data.forEach((row, r) => {
+      row.forEach((index, c) => {
+        if (index < 0) return;
+        const frame = frames[index];
+        if (HAZARD_FRAMES.includes(frame)) {
+          // Only the points hurt: the body covers the lower half of the
+          // tile, inset from its sides
+          scene.add.image(c * tileW, top + r * tileH, 'platform', frame).setScale(scale).setOrigin(0);
+          const zone = scene.add.zone((c + 0.5) * tileW, top + (r + 0.75) * tileH, tileW * 0.8, tileH * 0.5);
+          hazards.add(scene.physics.add.existing(zone, true));
+          return;
+        }
+        const tile = scene.physics.add.staticImage(c * tileW, top + r * tileH, 'platform', frame)
+          .setScale(scale)
+          .setOrigin(0);
+        tile.refreshBody(); // IMPORTANT after scaling static bodies
+        platforms.add(tile);
+      });
+    });
+    // Each object gets the centre (x, y) and the bottom edge of its cell,
+    // which is where signposts, stations and the robot stand
+    const objects = (level.objects || []).map((object) => ({
+      ...object,
+      x: (object.col + 0.5) * tileW,
+      y: top + (object.row + 0.5) * tileH,
+      bottom: top + (object.row + 1) * tileH,
+    }));
+    // Colliders are invisible solid blocks
+    objects.filter((object) => object.type === 'collider').forEach((object) => {
+      const zone = scene.add.zone(object.col * tileW, top + object.row * tileH,
+        (object.cols || 1) * tileW, (object.rows || 1) * tileH).setOrigin(0);
+      platforms.add(scene.physics.add.existing(zone, true));
+    });
+    return {
+      platforms,
+      hazards,
+      objects,
+      scale,
+      worldWidth,
+      worldHeight,
+      tileWidth: tileW,
+      tileHeight: tileH,
+      // Centre of the tile at (col, row) in world coordinates
+      toWorld(col, row) {
+        return { x: (col + 0.5) * tileW, y: top + (row + 0.5) * tileH };
+      },
+      // Y coordinate of the top of the highest solid tile below x. Falls
+      // back to the bottom of the world for empty columns.
+      surfaceAt(x) {
+        const col = Phaser.Math.Clamp(Math.floor(x / tileW), 0, level.width - 1);
+        const row = level.data.findIndex((r) => r[col] >= 0 && !HAZARD_FRAMES.includes(frames[r[col]]));
+        return row < 0 ? worldHeight : top + row * tileH;
+      },
+      // The object of a type placed for a manifest `key` or step index,
+      // or the first of that type when `id` is left out
+      findObject(type, id) {
+        return objects.find((object) => object.type === type &&
+          (id === undefined || object.key === id || object.step === id));
+      },
+    };
+  }
+
+  // HMAC-based JWT signing algorithms and the WebCrypto hash behind each
+  const JWT_ALGORITHMS = { HS256: 'SHA-256', HS384: 'SHA-384', HS512: 'SHA-512' };
+
+  function base64UrlEncode(bytes) {
+    return btoa(String.fromCharCode(...bytes))
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+  }
+
+  function base64UrlDecode(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+  }
+
+  function hmacKey(secret, alg) {
+    const hash = JWT_ALGORITHMS[alg];
+    if (!hash) throw new Error(`Unsupported JWT algorithm: ${alg}`);
+    return crypto.subtle.importKey('raw', new TextEncoder().encode(secret),
+      { name: 'HMAC', hash }, false, ['sign', 'verify']);
+  }
+
+  // Signs a JSON claims string as a compact header.payload.signature JWT
+  async function signJwt(claimsJson, secret, alg) {
+    const encoder = new TextEncoder();
+    const header = base64UrlEncode(encoder.encode(JSON.stringify({ alg, typ: 'JWT' })));
+    const payload = base64UrlEncode(encoder.encode(claimsJson));
+    const key = await hmacKey(secret, alg);
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${header}.${payload}`));
+    return `${header}.${payload}.${base64UrlEncode(new Uint8Array(signature))}`;
+  }
+
+  // Decodes a JWT and checks it against `secret` without throwing on bad
+  // signatures or expiry, so the JWT station can show why a token fails.
+  // Resolves to { header, claims, claimsText, signatureValid, exp, expired }.
+  // `claims` is null when the payload is not valid JSON.
+  async function inspectJwt(token, secret) {
+    const parts = token.split('.');
+    if (parts.length !== 3) throw new Error('Malformed token: expected header.payload.signature');
+    const decoder = new TextDecoder();
+    const header = JSON.parse(decoder.decode(base64UrlDecode(parts[0])));
+    const claimsText = decoder.decode(base64UrlDecode(parts[1]));
+    let claims = null;
+    try {
+      claims = JSON.parse(claimsText);
+    } catch (err) {
+      // Leave claims null; the raw text is still reported
+    }
+    let signatureValid = false;
+    if (JWT_ALGORITHMS[header.alg]) {
+      const key = await hmacKey(secret, header.alg);
+      signatureValid = await crypto.subtle.verify('HMAC', key, base64UrlDecode(parts[2]),
+        new TextEncoder().encode(`${parts[0]}.${parts[1]}`));
+    }
+    const exp = claims && typeof claims.exp === 'number' ? claims.exp : null;
+    const expired = exp !== null && Math.floor(Date.now() / 1000) >= exp;
+    return { header, claims, claimsText, signatureValid, exp, expired };
+  }
+
+  // Returns a copy of `token` with one byte of its payload flipped. The
+  // byte is an ASCII letter or digit near the middle so the claims still
+  // decode, which makes it obvious that only the signature check fails.
+  function tamperJwt(token) {
+    const [header, payload, signature] = token.split('.');
+    const bytes = base64UrlDecode(payload);
+    let index = Math.floor(bytes.length / 2);
+    while (index < bytes.length - 1 && !/[a-z0-9]/i.test(String.fromCharCode(bytes[index]))) {
+      index++;
+    }
+    bytes[index] ^= 0x01;
+    return { token: `${header}.${base64UrlEncode(bytes)}.${signature}`, index };
+  }
+
+  // JavaScript stand-ins for the gic_sec API, used when neither the WASM
+  // build nor the local bridge to the native addon is available. They
+  // mimic the shape of each call but not the exact output of the Rust code.
+  const SHIM_GIC = {
+    encodeJwt(payload, secret, algorithm = 'HS256') {
+      return signJwt(payload, secret, algorithm);
+    },
+    async decodeJwt(token, secret, validate) {
+      const result = await inspectJwt(token, secret);
+      if (validate && !result.signatureValid) throw new Error('Invalid signature');
+      if (validate && result.expired) throw new Error('Token expired');
+      return result.claimsText;
+    },
+    generatePassword(len, upper, lower, digits, symbols) {
+      const uppers = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+      const lowers = 'abcdefghijklmnopqrstuvwxyz';
+      const nums = '0123456789';
+      const sym = symbols;
+      let chars = '';
+      if (upper) chars += uppers;
+      if (lower) chars += lowers;
+      if (digits) chars += nums;
+      if (sym) chars += sym;
+      let result = '';
+      for (let i = 0; i < len; i++) {
+        result += chars.charAt(Math.floor(Math.random() * chars.length));
+      }
+      return result;
+    },
+    async hashSha256(input) {
+      return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(input)));
+    },
+    async hashSha512(input) {
+      return toHex(await crypto.subtle.digest('SHA-512', new TextEncoder().encode(input)));
+    },
+    randomBase64(len) {
+      const bytes = new Uint8Array(len);
+      crypto.getRandomValues(bytes);
+      return btoa(String.fromCharCode(...bytes));
+    },
+    generateUuidV4() {
+      return ([1e7]+-1e3+-4e3+-8e3+-1e11).replace(/[018]/g, c =>
+        (c ^ crypto.getRandomValues(new Uint8Array(1))[0] & 15 >> c / 4).toString(16)
+      );
+    },
+  };
+
+  function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer))
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  // Functions every backend must provide. They mirror the exports of the
+  // gic_sec crate as seen from JavaScript.
+  const GIC_FUNCTIONS = Object.keys(SHIM_GIC);
+
+  // Backends that can execute the station examples. Each `load` resolves
+  // to an object exposing GIC_FUNCTIONS (sync or async) or rejects when
+  // the backend is unreachable. The manifest's `examples.backends` lists
+  // which to try, in order; the shim is always the last resort. Their
+  // display names are the `backend.<type>` UI strings.
+  const STATION_BACKENDS = {
+    // Small Node server (bridge/server.js) that requires the real .node
+    // addon and exposes its functions over HTTP on localhost.
+    bridge: {
+      async load({ url }) {
+        const health = await fetch(`${url}/health`, { signal: AbortSignal.timeout(1500) });
+        if (!health.ok) throw new Error(t('backend.healthFailed', { status: health.status }));
+        const api = {};
+        GIC_FUNCTIONS.forEach((fn) => {
+          api[fn] = async (...args) => {
+            const res = await fetch(`${url}/call`, {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ fn, args }),
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error);
+            return data.result;
+          };
+        });
+        return api;
+      },
+    },
+    // wasm-bindgen build of the crate (`wasm-pack build --target web`),
+    // loaded as an ES module. Its default export initialises the WASM.
+    wasm: {
+      async load({ url }) {
+        const mod = await import(new URL(url, document.baseURI).href);
+        if (typeof mod.default === 'function') await mod.default();
+        const missing = GIC_FUNCTIONS.filter((fn) => typeof mod[fn] !== 'function');
+        if (missing.length) throw new Error(t('backend.missingExports', { names: missing.join(', ') }));
+        return mod;
+      },
+    },
+    shim: {
+      async load() {
+        return SHIM_GIC;
+      },
+    },
+  };
+
+  // Resolves the first available backend from the manifest's list. The
+  // result is cached so every station runs against the same backend.
+  // `type` names the one in use and `skipped` lists the backends tried
+  // before it as { type, reason } so station output can say why they were
+  // not used.
+  let stationBackend;
+  function resolveStationBackend(scene) {
+    if (!stationBackend) {
+      const candidates = [...(getManifest(scene).examples.backends || []), { type: 'shim' }];
+      stationBackend = (async () => {
+        const skipped = [];
+        for (const candidate of candidates) {
+          const backend = STATION_BACKENDS[candidate.type];
+          if (!backend) continue;
+          try {
+            const gic = await backend.load(candidate);
+            return { type: candidate.type, gic, skipped };
+          } catch (err) {
+            skipped.push({ type: candidate.type, reason: err.message });
+          }
+        }
+      })();
+    }
+    return stationBackend;
+  }
+
+  // Station runners referenced by the `run` field of each station in the
+  // presentation manifest. Code cannot live in JSON, so the manifest only
+  // names a runner. Each receives the resolved gic_sec API, the values of
+  // the station's `inputs`, the name of the overlay action that triggered
+  // it (undefined for a plain run), the scene and an AbortSignal that fires
+  // when the run is cancelled or times out, and returns the output text or
+  // a promise for it. A runner can instead return `{ text, charts,
+  // backend }` to add bar charts (see drawBarChart) below the text and to
+  // name what actually ran in place of the resolved backend.
+  const STATION_RUNNERS = {
+    jwt: async (gic, { payload, expiresIn, secret, algorithm }, action) => {
+      const claims = { ...payload, exp: Math.floor(Date.now() / 1000) + expiresIn };
+      let token = await gic.encodeJwt(JSON.stringify(claims), secret, algorithm);
+      const lines = [];
+      if (action === 'tamper') {
+        const tampered = tamperJwt(token);
+        token = tampered.token;
+        lines.push(t('jwt.tampered', { index: tampered.index, token }));
+      } else {
+        lines.push(t('jwt.signed', { token }));
+      }
+      // Inspect the token locally with WebCrypto so the header, claims,
+      // signature and expiry are visible whichever backend signed it
+      const info = await inspectJwt(token, secret);
+      lines.push(t('jwt.header', { header: JSON.stringify(info.header) }));
+      lines.push(t('jwt.claims', { claims: info.claims ? JSON.stringify(info.claims) : info.claimsText }));
+      lines.push(t(info.signatureValid ? 'jwt.signatureValid' : 'jwt.signatureInvalid'));
+      if (info.exp === null) {
+        lines.push(t('jwt.noExp'));
+      } else {
+        const expiresAt = new Date(info.exp * 1000).toISOString();
+        lines.push(t(info.expired ? 'jwt.expired' : 'jwt.notExpired', { exp: expiresAt }));
+      }
+      // Then let the module itself decode and validate it
+      try {
+        const decoded = await gic.decodeJwt(token, secret, true);
+        lines.push(t('jwt.decoded', { result: typeof decoded === 'string' ? decoded : JSON.stringify(decoded) }));
+      } catch (err) {
+        lines.push(t('jwt.rejected', { message: err.message || err }));
+      }
+      return lines.join('\n');
+    },
+    password: (gic, { length, upper, lower, digits, symbols }) =>
+      gic.generatePassword(length, upper, lower, digits, symbols),
+    hashing: async (gic, { input }) => {
+      const sha256 = await gic.hashSha256(input);
+      const sha512 = await gic.hashSha512(input);
+      return `SHA-256: ${sha256}\nSHA-512: ${sha512}`;
+    },
+    random: async (gic, { bytes }) => {
+      const token = await gic.randomBase64(bytes);
+      const uuid = await gic.generateUuidV4();
+      return `${t('random.base64', { token })}\n${t('random.uuid', { uuid })}`;
+    },
+    benchmark: (gic, values, action, scene, signal) => runBenchmark(scene, values, signal),
+  };
+
+  // Benchmark station. The measuring happens in bench-worker.js so the game
+  // keeps running; it compares a pure JavaScript implementation, WebCrypto
+  // and the WASM build (when `examples.backends` lists one and it loads).
+  const BENCH_IMPLS = {
+    js: { color: 0xf7df1e },
+    webcrypto: { color: 0x4fd5ff },
+    wasm: { color: 0xde6a3a },
+  };
+  const BENCH_MAX_SIZE = 1024 * 1024;
+  const BENCH_MAX_SIZES = 6;
+
+  function formatSize(bytes) {
+    if (bytes >= 1024 * 1024) return `${+(bytes / (1024 * 1024)).toFixed(1)} MiB`;
+    if (bytes >= 1024) return `${+(bytes / 1024).toFixed(1)} KiB`;
+    return `${bytes} B`;
+  }
+
+  function formatRate(opsPerSec) {
+    return `${Math.round(opsPerSec).toLocaleString(i18n.lang)} ops/s`;
+  }
+
+  function formatMicros(us) {
+    return us >= 1000 ? `${(us / 1000).toFixed(2)} ms` : `${us.toFixed(us < 10 ? 2 : 1)} µs`;
+  }
+
+  function runBenchmark(scene, { algorithm, sizes, duration }, signal) {
+    const password = algorithm === 'password';
+    if (!Array.isArray(sizes) || !sizes.length || sizes.length > BENCH_MAX_SIZES
+      || !sizes.every((size) => Number.isInteger(size) && size > 0 && size <= BENCH_MAX_SIZE)) {
+      return Promise.reject(new Error(t('bench.badSizes', { count: BENCH_MAX_SIZES, max: formatSize(BENCH_MAX_SIZE) })));
+    }
+    const wasmBackend = (getManifest(scene).examples.backends || []).find((backend) => backend.type === 'wasm');
+    return new Promise((resolve, reject) => {
+      let worker;
+      try {
+        worker = new Worker(new URL('bench-worker.js', document.baseURI), { type: 'module' });
+      } catch (err) {
+        reject(new Error(t('bench.noWorker', { message: err.message })));
+        return;
+      }
+      worker.onmessage = (event) => {
+        worker.terminate();
+        if (event.data.type === 'error') reject(new Error(event.data.message));
+        else resolve(event.data);
+      };
+      worker.onerror = (event) => {
+        worker.terminate();
+        reject(new Error(t('bench.noWorker', { message: event.message || t('bench.workerFailed') })));
+      };
+      // Cancelling or timing out stops the measurements
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          worker.terminate();
+          reject(new Error(t('station.cancelled')));
+        });
+      }
+      worker.postMessage({
+        algorithm,
+        sizes,
+        duration,
+        wasmUrl: wasmBackend ? new URL(wasmBackend.url, document.baseURI).href : null,
+      });
+    }).then(({ wasm, results }) => {
+      const implLabel = (impl) => t(`bench.impl.${password ? 'password.' : ''}${impl}`);
+      const sizeLabel = (size) => (password ? t('bench.chars', { count: size }) : formatSize(size));
+      const lines = [t('bench.heading', { algorithm: password ? t('bench.password') : algorithm })];
+      results.forEach((result) => {
+        const head = `${sizeLabel(result.size).padEnd(10)} ${implLabel(result.impl).padEnd(24)}`;
+        if (result.error) {
+          lines.push(`${head} ${t('error', { message: result.error })}`);
+          return;
+        }
+        let line = `${head} ${formatRate(result.opsPerSec).padStart(16)}  p50 ${formatMicros(result.p50)}  p95 ${formatMicros(result.p95)}`;
+        if (result.matches === false) line += `  ${t('bench.mismatch')}`;
+        lines.push(line);
+      });
+      if (!wasm.available) lines.push('', t('bench.noWasm', { reason: wasm.error }));
+      const measured = results.filter((result) => !result.error);
+      const largest = Math.max(...sizes);
+      const charts = [{
+        title: t('bench.opsTitle'),
+        bars: measured.map((result) => ({
+          label: `${sizeLabel(result.size)} · ${implLabel(result.impl)}`,
+          value: result.opsPerSec,
+          valueLabel: formatRate(result.opsPerSec),
+          color: BENCH_IMPLS[result.impl].color,
+        })),
+      }];
+      // One latency histogram per implementation, for the largest size
+      measured.filter((result) => result.size === largest).forEach((result) => {
+        charts.push({
+          title: t('bench.latencyTitle', { impl: implLabel(result.impl), size: sizeLabel(largest) }),
+          columns: true,
+          bars: result.bins.map((count) => ({ value: count, color: BENCH_IMPLS[result.impl].color })),
+          axis: [formatMicros(result.min), `${formatMicros(result.p99)}+`],
+        });
+      });
+      return { text: lines.join('\n'), charts, backend: t('bench.backend') };
+    });
+  }
+
+  // Fills the `{{name}}` placeholders of a station's code sample with the
+  // current input values, written as JavaScript literals.
+  function renderStationCode(code, inputs, values) {
+    return code.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+      const input = (inputs || []).find((i) => i.name === name);
+      if (!input) return match;
+      const value = values[name];
+      if (input.type === 'text' || input.type === 'select') {
+        return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+      }
+      return input.type === 'json' ? JSON.stringify(value) : String(value);
+    });
+  }
+
+  // -------- Station plugins --------
+  // Stations can also be added from separate script files loaded after
+  // main.js, without touching the manifest or this file:
+  //
+  //   gicSecAdventure.registerStation({ key, label, code, run, inputs });
+  //
+  // A registered station takes the same fields as a manifest station,
+  // except that `run` is the runner function itself (same arguments as a
+  // STATION_RUNNERS entry; it may be async). Optional fields: `timeout` in
+  // ms, `intro` replacing the shared overlay text, an `icon` drawn above
+  // the station and a `category` shown above the icon. Registered stations
+  // follow the manifest's in registration order.
+  const registeredStations = [];
+  // Keys of the manifest's stations, set once BootScene has loaded it
+  let manifestStationKeys = null;
+  // Keys of plugin stations dropped because the manifest uses them
+  const skippedStationKeys = [];
+
+  // Milliseconds a station run may take before it fails, unless the
+  // station sets its own `timeout`
+  const STATION_TIMEOUT = 10000;
+
+  function registerStation(station) {
+    if (!station || typeof station.key !== 'string' || !station.key) {
+      throw new TypeError('registerStation: "key" must be a non-empty string');
+    }
+    if (typeof station.run !== 'function') {
+      throw new TypeError(`registerStation("${station.key}"): "run" must be a function`);
+    }
+    if (registeredStations.some((other) => other.key === station.key)) {
+      throw new Error(`registerStation: a station "${station.key}" is already registered`);
+    }
+    if (manifestStationKeys && manifestStationKeys.includes(station.key)) {
+      throw new Error(`registerStation: the manifest already has a station "${station.key}"`);
+    }
+    registeredStations.push({ label: station.key, code: '', ...station });
+  }
+
+  // Public API for plugin scripts
+  window.gicSecAdventure = { registerStation };
+
+  // Plugins usually register before the manifest has loaded, so BootScene
+  // calls this once it has: stations registered with a key the manifest
+  // already uses are dropped and listed in skippedStationKeys for the
+  // ExampleScene intro, and registerStation() refuses such keys from then
+  // on
+  function settleRegisteredStations(manifest) {
+    manifestStationKeys = manifest.examples.stations.map((station) => station.key);
+    for (let i = registeredStations.length - 1; i >= 0; i -= 1) {
+      const { key } = registeredStations[i];
+      if (manifestStationKeys.includes(key)) {
+        registeredStations.splice(i, 1);
+        skippedStationKeys.unshift(key);
+      }
+    }
+  }
+
+  // Every station of ExampleScene: the manifest's, then the registered
+  // ones
+  function exampleStations(scene) {
+    return [...getManifest(scene).examples.stations, ...registeredStations];
+  }
+
+  // Runs `task(signal)`, rejecting if it takes longer than `ms` or if
+  // `signal` aborts first. The signal the task gets aborts in both cases
+  // as well, so a long task (e.g. the benchmark worker) can stop early.
+  function runWithTimeout(task, ms, signal) {
+    const controller = new AbortController();
+    let timer;
+    let onAbort;
+    return new Promise((resolve, reject) => {
+      const fail = (err) => {
+        controller.abort();
+        reject(err);
+      };
+      timer = setTimeout(() => fail(new Error(t('station.timeout', { seconds: ms / 1000 }))), ms);
+      if (signal) {
+        onAbort = () => fail(new Error(t('station.cancelled')));
+        if (signal.aborted) onAbort();
+        else signal.addEventListener('abort', onAbort);
+      }
+      Promise.resolve().then(() => task(controller.signal)).then(resolve, reject);
+    }).finally(() => {
+      clearTimeout(timer);
+      if (onAbort) signal.removeEventListener('abort', onAbort);
+    });
+  }
+
+  // -------- Localisation --------
+  // Languages with a string bundle in assets/locales/<lang>.json. Each
+  // bundle has a display `name`, a text direction `dir` ('ltr' or 'rtl'),
+  // the `ui` strings used by main.js and `presentation` overrides merged
+  // over the English manifest (arrays entry by entry, in manifest order).
+  // Anything a bundle leaves out falls back to English.
+  const LOCALES = ['en', 'fr', 'es'];
+  const LANG_KEY = 'gic-sec-adventure-lang';
+
+  const i18n = {
+    lang: 'en',
+    // Loaded bundles by language, filled in by BootScene
+    bundles: {},
+    // Localised manifests by language, built on first use
+    manifests: {},
+  };
+
+  // Language to start in: ?lang= in the URL, else the last one picked,
+  // else the browser's preferred language, else English
+  function chooseLanguage() {
+    const candidates = [new URLSearchParams(location.search).get('lang')];
+    try {
+      candidates.push(localStorage.getItem(LANG_KEY));
+    } catch (err) {
+      // storage disabled; skip the saved choice
+    }
+    candidates.push(...(navigator.languages || [navigator.language]));
+    const match = candidates
+      .map((lang) => lang && lang.toLowerCase().split('-')[0])
+      .find((lang) => LOCALES.includes(lang));
+    return match || 'en';
+  }
+
+  // Switches the language for scenes started from now on
+  function setLanguage(lang) {
+    i18n.lang = LOCALES.includes(lang) ? lang : 'en';
+    document.documentElement.lang = i18n.lang;
+    document.documentElement.dir = isRtl() ? 'rtl' : 'ltr';
+  }
+
+  // Remembers a language picked by the audience, also in the URL so a
+  // shared link opens in the same language
+  function saveLanguage(lang) {
+    try {
+      localStorage.setItem(LANG_KEY, lang);
+    } catch (err) {
+      // Storage may be full or disabled; the choice just won't persist
+    }
+    const url = new URL(location.href);
+    url.searchParams.set('lang', lang);
+    history.replaceState(null, '', url);
+  }
+
+  function isRtl() {
+    const bundle = i18n.bundles[i18n.lang];
+    return Boolean(bundle && bundle.dir === 'rtl');
+  }
+
+  // Looks up a UI string in the current language, falling back to English
+  // and then to the key itself. `{name}` placeholders are filled from
+  // `params`.
+  function t(key, params) {
+    const lookup = (lang) => {
+      const bundle = i18n.bundles[lang];
+      return bundle && bundle.ui && bundle.ui[key];
+    };
+    const text = lookup(i18n.lang) || lookup('en') || key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params && name in params ? params[name] : match));
+  }
+
+  // Merges a translation over the English value it replaces. Missing or
+  // empty entries keep the English text.
+  function mergeTranslation(base, override) {
+    if (override === undefined || override === null || override === '') return base;
+    if (Array.isArray(base)) {
+      return base.map((item, index) => mergeTranslation(item, Array.isArray(override) ? override[index] : undefined));
+    }
+    if (base && typeof base === 'object') {
+      const merged = { ...base };
+      Object.keys(override).forEach((key) => {
+        merged[key] = mergeTranslation(base[key], override[key]);
+      });
+      return merged;
+    }
+    return override;
+  }
+
+  // Phaser draws canvas text left to right; for right-to-left languages
+  // flip the Text objects among `objects`
+  function applyTextDirection(objects) {
+    if (!isRtl()) return;
+    objects.forEach((object) => {
+      if (object instanceof Phaser.GameObjects.Text) object.setRTL(true);
+    });
+  }
+
+  // The presentation manifest (assets/presentation.json) declares the scene
+  // order and every piece of slide content: title screen, benefits, bridge,
+  // build steps, example stations and conclusion. Scenes render from it so
+  // the engine can present other modules by swapping the manifest. It is
+  // returned in the current language.
+  function getManifest(scene) {
+    if (!i18n.manifests[i18n.lang]) {
+      const bundle = i18n.bundles[i18n.lang] || {};
+      i18n.manifests[i18n.lang] = mergeTranslation(scene.cache.json.get('presentation'), bundle.presentation);
+    }
+    return i18n.manifests[i18n.lang];
+  }
+
+  // The expected answer of a quiz question, as shown to the audience
+  function expectedAnswer(question) {
+    return question.type === 'predict' ? question.answers[0] : question.options[question.answer];
+  }
+
+  // Scores the quiz answers in the store into a record for the results
+  // screen and the exports
+  function quizResults(scene) {
+    const quiz = getManifest(scene).quiz;
+    const { answers, name } = progress.get('QuizScene');
+    const questions = quiz.questions.map((question) => {
+      const answered = answers[question.id];
+      const given = answered ? answered.given : null;
+      return {
+        id: question.id,
+        type: question.type,
+        prompt: question.prompt,
+        answer: question.type === 'predict' || given === null ? given : question.options[given],
+        expected: expectedAnswer(question),
+        correct: Boolean(answered && answered.correct),
+      };
+    });
+    const score = questions.filter((q) => q.correct).length;
+    const total = questions.length;
+    const passMark = quiz.passMark === undefined ? 0.7 : quiz.passMark;
+    return {
+      name,
+      language: i18n.lang,
+      completedAt: new Date().toISOString(),
+      score,
+      total,
+      percent: total ? Math.round((score / total) * 100) : 0,
+      passMark,
+      passed: total > 0 && score / total >= passMark,
+      questions,
+    };
+  }
+
+  // One CSV row per question; every row repeats who took the quiz and the
+  // overall score so the rows can be combined across people
+  function quizResultsCsv(record) {
+    // Text starting with = + - @, a tab or CR would run as a formula in
+    // Excel or Sheets (the name and typed answers are free text), so it is
+    // prefixed with ' to keep it text
+    const cell = (value) => {
+      let text = value === null || value === undefined ? '' : String(value);
+      if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const header = ['name', 'completedAt', 'score', 'total', 'passed', 'question', 'prompt', 'answer', 'expected', 'correct'];
+    const rows = record.questions.map((q) => [
+      record.name, record.completedAt, record.score, record.total, record.passed,
+      q.id, q.prompt, q.answer, q.expected, q.correct,
+    ]);
+    return [header, ...rows].map((row) => row.map(cell).join(',')).join('\n');
+  }
+
+  function exportFileName(record) {
+    const who = (record.name || 'anonymous').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    return `gic-sec-quiz-${who}-${record.completedAt.slice(0, 10)}`;
+  }
+
+  // Saves `text` as a file through a temporary download link
+  function downloadFile(filename, type, text) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  // Starts the scene that follows `scene` in the manifest's scene order,
+  // wrapping around to the first scene after the last one.
+  function startNextScene(scene) {
+    const order = getManifest(scene).scenes;
+    const next = order[order.indexOf(scene.scene.key) + 1] || order[0];
+    scene.scene.start(next);
+  }
+
+  // Navigation routes identify a scene plus optional parameters, written
+  // as `SceneKey/name=value/...` (e.g. `BuildScene/step=3`). They are used
+  // for URL hash deep links and for the progress saved in localStorage.
+  function parseRoute(text) {
+    const [scene, ...pairs] = (text || '').split('/');
+    if (!scene) return null;
+    const params = {};
+    pairs.forEach((pair) => {
+      const [name, value] = pair.split('=');
+      if (!name) return;
+      const num = Number(value);
+      params[name] = value !== undefined && value !== '' && !isNaN(num) ? num : value;
+    });
+    return { scene, params };
+  }
+
+  function formatRoute(sceneKey, params) {
+    const pairs = Object.entries(params || {}).map(([name, value]) => `${name}=${value}`);
+    return [sceneKey, ...pairs].join('/');
+  }
+
+  // Starts the scene named by a route if the manifest lists it. Returns
+  // false for unknown scenes so callers can fall back.
+  function startRoute(scene, route) {
+    if (!route || !getManifest(scene).scenes.includes(route.scene)) return false;
+    scene.scene.start(route.scene, route.params);
+    return true;
+  }
+
+  // Progress is saved under this localStorage key as
+  // { route, state } (state being a ProgressStore snapshot) and restored
+  // on reload.
+  const PROGRESS_KEY = 'gic-sec-adventure-progress';
+
+  function loadProgress() {
+    try {
+      return JSON.parse(localStorage.getItem(PROGRESS_KEY));
+    } catch (err) {
+      return null; // storage disabled or corrupt; start fresh
+    }
+  }
+
+  // Records where the presentation is: updates the URL hash to the active
+  // scene's route (scenes may add parameters with routeParams()) and saves
+  // the route and progress. Called when a scene starts and whenever the
+  // progress store changes. Play-tests from the level editor (?edit) save
+  // nothing, so they never replace the audience's place in the
+  // presentation.
+  function saveProgress(scene) {
+    if (editMode) return;
+    const params = scene.routeParams ? scene.routeParams() : {};
+    const route = formatRoute(scene.scene.key, params);
+    // replaceState does not fire hashchange, so this does not navigate
+    history.replaceState(null, '', `#${route}`);
+    try {
+      localStorage.setItem(PROGRESS_KEY, JSON.stringify({
+        route,
+        state: progress.snapshot(),
+      }));
+    } catch (err) {
+      // Storage may be full or disabled; progress just won't persist
+    }
+  }
+
+  // The scene currently being played, used to follow hash changes
+  let activeScene = null;
+
+  // Common bookkeeping for every scene once create() has finished. Scenes
+  // that need controls during create() make their InputLayer first;
+  // every other scene gets one here.
+  function sceneStarted(scene) {
+    if (!scene.controls) scene.controls = new InputLayer(scene);
+    bindPresentationControls(scene);
+    applyTextDirection(scene.children.list);
+    activeScene = scene;
+    saveProgress(scene);
+    presenterLink.attach(scene);
+    audio.playSceneMusic(scene);
+  }
+
+  // Keep the saved progress, URL hash and presenter view in step with
+  // the store
+  progress.on('change', () => {
+    if (!activeScene) return;
+    saveProgress(activeScene);
+    presenterLink.publish();
+  });
+
+  // Presenter mode. A second window (presenter.html) shows the current
+  // scene, speaker notes, a timer and what comes next, and can drive this
+  // window remotely. The two talk over a BroadcastChannel: the game
+  // publishes its state and the presenter sends back commands. Scenes
+  // call attach() when they start and may implement presenterItems()
+  // (the benefits/steps/stations shown with notes) and
+  // openPresenterItem(id) (opens that item's overlay).
+  const presenterLink = {
+    channel: typeof BroadcastChannel === 'function' ? new BroadcastChannel('gic-sec-presenter') : null,
+    scene: null,
+    attach(scene) {
+      this.scene = scene;
+      this.publish();
+    },
+    publish() {
+      if (!this.channel || !this.scene) return;
+      const manifest = getManifest(this.scene);
+      const key = this.scene.scene.key;
+      const top = openOverlays[openOverlays.length - 1];
+      this.channel.postMessage({
+        type: 'state',
+        lang: i18n.lang,
+        scene: key,
+        nextScene: manifest.scenes[manifest.scenes.indexOf(key) + 1] || null,
+        notes: (manifest.notes || {})[key] || '',
+        // A scene whose level failed to load has nothing to list
+        items: this.scene.presenterItems && !this.scene.levelError ? this.scene.presenterItems() : [],
+        overlay: top ? top.title : null,
+      });
+    },
+    handle(message) {
+      if (!this.scene) return;
+      switch (message.type) {
+        case 'hello':
+          this.publish();
+          break;
+        case 'next':
+          startNextScene(this.scene);
+          break;
+        case 'open':
+          if (this.scene.openPresenterItem && !this.scene.levelError) this.scene.openPresenterItem(message.id);
+          break;
+        case 'close':
+          if (openOverlays.length) openOverlays[openOverlays.length - 1].close();
+          break;
+      }
+    },
+  };
+  if (presenterLink.channel) {
+    presenterLink.channel.onmessage = (event) => presenterLink.handle(event.data);
+  }
+
+  // Opens the presenter view in a second window
+  function openPresenterWindow() {
+    window.open('presenter.html', 'gic-sec-presenter', 'width=960,height=720');
+  }
+
+  // -------- Input layer --------
+  // Every control goes through named actions instead of raw keys so the
+  // same scene code works with a keyboard, a gamepad (Phaser's Gamepad
+  // plugin, standard mapping), on-screen touch buttons and presentation
+  // clickers, which send PageUp/PageDown and B (blank screen). Keys are
+  // Phaser key names (see Phaser.Input.Keyboard.KeyCodes) and buttons are
+  // gamepad button indices. Players can rebind them from the title
+  // screen; changes are saved under CONTROLS_KEY.
+  const DEFAULT_BINDINGS = {
+    left: { keys: ['LEFT', 'A'], buttons: [14] },
+    right: { keys: ['RIGHT', 'D'], buttons: [15] },
+    jump: { keys: ['UP', 'W'], buttons: [0, 12] },
+    action: { keys: ['SPACE'], buttons: [2] },
+    run: { keys: ['SHIFT'], buttons: [7] },
+    attack: { keys: ['X'], buttons: [1] },
+    next: { keys: ['PAGE_DOWN', 'N'], buttons: [5] },
+    previous: { keys: ['PAGE_UP'], buttons: [4] },
+    blank: { keys: ['B', 'PERIOD'], buttons: [8] },
+  };
+
+  // Names of the standard gamepad buttons, by index
+  const GAMEPAD_BUTTONS = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+    'L3', 'R3', 'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home'];
+
+  // Left stick deflection that counts as pressing left or right
+  const STICK_THRESHOLD = 0.5;
+
+  const CONTROLS_KEY = 'gic-sec-adventure-controls';
+
+  // Current bindings: the defaults overridden by any saved rebinding
+  const controlBindings = (() => {
+    const bindings = JSON.parse(JSON.stringify(DEFAULT_BINDINGS));
+    try {
+      const saved = JSON.parse(localStorage.getItem(CONTROLS_KEY)) || {};
+      Object.keys(bindings).forEach((action) => {
+        if (saved[action]) {
+          bindings[action].keys = saved[action].keys || bindings[action].keys;
+          bindings[action].buttons = saved[action].buttons || bindings[action].buttons;
+        }
+      });
+    } catch (err) {
+      // storage disabled or corrupt; use the defaults
+    }
+    return bindings;
+  })();
+
+  function saveBindings() {
+    const saved = {};
+    Object.entries(controlBindings).forEach(([action, { keys, buttons }]) => {
+      saved[action] = { keys, buttons };
+    });
+    try {
+      localStorage.setItem(CONTROLS_KEY, JSON.stringify(saved));
+    } catch (err) {
+      // Storage may be full or disabled; bindings just won't persist
+    }
+  }
+
+  // True while the rebinding overlay waits for a key or button, so the
+  // press does not also trigger the action it is bound to
+  let capturingBinding = false;
+
+  // Touch buttons are shown on touch screens, or anywhere with ?touch in
+  // the URL
+  const forceTouch = new URLSearchParams(location.search).has('touch');
+
+  /**
+   * InputLayer
+   * Per-scene view of the bound controls. Each frame it works out which
+   * actions are held from the keyboard, the first connected gamepad and
+   * the on-screen touch buttons; scenes then ask isDown(), justDown() or
+   * justUp() by action name. The one-shot presentation actions (next,
+   * previous and blank) are also emitted as events of the same name.
+   */
+  class InputLayer extends Phaser.Events.EventEmitter {
+    constructor(scene) {
+      super();
+      this.scene = scene;
+      this.held = {};
+      this.wasHeld = {};
+      // Actions currently pressed through on-screen touch buttons
+      this.touchHeld = {};
+      this.bindKeys();
+      scene.events.on('update', this.update, this);
+      scene.events.once('shutdown', () => {
+        scene.events.off('update', this.update, this);
+        this.removeAllListeners();
+        // Scene instances are reused, so the next start gets a fresh layer
+        if (scene.controls === this) scene.controls = null;
+      });
+    }
+    // (Re)creates the Phaser keys for the current bindings
+    bindKeys() {
+      const keyboard = this.scene.input.keyboard;
+      if (this.keys) {
+        Object.values(this.keys).flat().forEach((key) => keyboard.removeKey(key));
+      }
+      this.keys = {};
+      Object.entries(controlBindings).forEach(([action, { keys }]) => {
+        this.keys[action] = keys.map((name) => keyboard.addKey(name));
+      });
+    }
+    // The first connected gamepad, if any
+    pad() {
+      const gamepad = this.scene.input.gamepad;
+      if (!gamepad || !gamepad.total) return null;
+      return gamepad.gamepads.find((pad) => pad && pad.connected) || null;
+    }
+    update() {
+      const pad = this.pad();
+      const stickX = pad && pad.axes.length ? pad.axes[0].getValue() : 0;
+      this.wasHeld = this.held;
+      this.held = {};
+      if (capturingBinding) return;
+      Object.entries(controlBindings).forEach(([action, { buttons }]) => {
+        this.held[action] = this.keys[action].some((key) => key.isDown) ||
+          Boolean(pad && buttons.some((index) => pad.buttons[index] && pad.buttons[index].pressed)) ||
+          Boolean(this.touchHeld[action]);
+      });
+      // The left stick moves the robot as well as the bound buttons
+      if (stickX < -STICK_THRESHOLD) this.held.left = true;
+      if (stickX > STICK_THRESHOLD) this.held.right = true;
+      ['next', 'previous', 'blank'].forEach((action) => {
+        if (this.justDown(action)) this.emit(action);
+      });
+    }
+    isDown(action) {
+      return Boolean(this.held[action]);
+    }
+    justDown(action) {
+      return Boolean(this.held[action] && !this.wasHeld[action]);
+    }
+    justUp(action) {
+      return Boolean(!this.held[action] && this.wasHeld[action]);
+    }
+    // Adds on-screen buttons for the given actions on touch screens.
+    // Movement sits bottom left and other actions bottom right, above the
+    // Next button. Later calls add buttons next to the earlier ones.
+    addTouchButtons(actions) {
+      if (!this.scene.sys.game.device.input.touch && !forceTouch) return;
+      const { width, height } = this.scene.scale;
+      const icons = { left: '◀', right: '▶', jump: '▲', action: '●', run: '»', attack: '⚔' };
+      const size = 70;
+      if (!this.touchSlots) this.touchSlots = { left: 20 + size / 2, right: width - 20 - size / 2 };
+      actions.forEach((action) => {
+        const movement = action === 'left' || action === 'right';
+        const x = movement ? this.touchSlots.left : this.touchSlots.right;
+        if (movement) this.touchSlots.left += size + 15; else this.touchSlots.right -= size + 15;
+        const button = this.scene.add.circle(x, height - 110, size / 2, 0xffffff, 0.25)
+          .setStrokeStyle(2, 0xffffff, 0.6)
+          .setScrollFactor(0)
+          .setDepth(10)
+          .setInteractive();
+        this.scene.add.text(x, height - 110, icons[action] || action, {
+          fontSize: '28px',
+          fontFamily: 'Arial',
+          color: '#ffffff'
+        }).setOrigin(0.5).setScrollFactor(0).setDepth(10);
+        const release = () => {
+          this.touchHeld[action] = false;
+          button.setFillStyle(0xffffff, 0.25);
+        };
+        button.on('pointerdown', () => {
+          this.touchHeld[action] = true;
+          button.setFillStyle(0xffffff, 0.5);
+        });
+        button.on('pointerup', release);
+        button.on('pointerout', release);
+      });
+    }
+  }
+
+  // Starts the scene before `scene` in the manifest's scene order, staying
+  // put on the first scene
+  function startPreviousScene(scene) {
+    const order = getManifest(scene).scenes;
+    const index = order.indexOf(scene.scene.key);
+    if (index > 0) scene.scene.start(order[index - 1]);
+  }
+
+  // Presentation clicker actions, available in every scene: next closes
+  // the top overlay or moves on, previous goes back a scene and blank
+  // toggles a black screen.
+  function bindPresentationControls(scene) {
+    scene.controls.on('next', () => {
+      if (openOverlays.length) openOverlays[openOverlays.length - 1].close();
+      else startNextScene(scene);
+    });
+    scene.controls.on('previous', () => startPreviousScene(scene));
+    scene.controls.on('blank', () => document.body.classList.toggle('blanked'));
+  }
+
+  // Readable name of a Phaser key name or gamepad button index
+  function describeKey(name) {
+    return name.split('_').map((part) => part.charAt(0) + part.slice(1).toLowerCase()).join(' ');
+  }
+  function describeButton(index) {
+    return GAMEPAD_BUTTONS[index] || `Button ${index}`;
+  }
+
+  // Shows the rebinding overlay: one row per action with its keys and
+  // gamepad buttons. "Set key" and "Set button" wait for the next key or
+  // gamepad button press and make it the only binding of that kind;
+  // Escape cancels. Changes apply immediately and are saved.
+  function openControlsOverlay(scene) {
+    const form = document.createElement('div');
+    form.className = 'overlay-form controls-form';
+    let stopCapture = () => {};
+    const render = () => {
+      form.textContent = '';
+      Object.entries(controlBindings).forEach(([action, binding]) => {
+        const label = document.createElement('span');
+        label.textContent = t(`controls.${action}`);
+        const keys = document.createElement('span');
+        keys.textContent = binding.keys.map(describeKey).join(', ') || '—';
+        const buttons = document.createElement('span');
+        buttons.textContent = binding.buttons.map(describeButton).join(', ') || '—';
+        const setKey = document.createElement('button');
+        setKey.type = 'button';
+        setKey.textContent = t('controls.setKey');
+        setKey.addEventListener('click', () => captureKey(action, setKey));
+        const setButton = document.createElement('button');
+        setButton.type = 'button';
+        setButton.textContent = t('controls.setButton');
+        setButton.addEventListener('click', () => captureButton(action, setButton));
+        form.append(label, keys, setKey, buttons, setButton);
+      });
+      const reset = document.createElement('button');
+      reset.type = 'button';
+      reset.textContent = t('controls.reset');
+      reset.addEventListener('click', () => {
+        stopCapture();
+        Object.entries(DEFAULT_BINDINGS).forEach(([action, { keys, buttons }]) => {
+          controlBindings[action].keys = [...keys];
+          controlBindings[action].buttons = [...buttons];
+        });
+        applyBindings();
+      });
+      form.appendChild(reset);
+    };
+    const applyBindings = () => {
+      saveBindings();
+      scene.controls.bindKeys();
+      render();
+    };
+    const startCapture = (button, cancel) => {
+      stopCapture();
+      capturingBinding = true;
+      button.textContent = t('controls.press');
+      stopCapture = () => {
+        capturingBinding = false;
+        cancel();
+        stopCapture = () => {};
+      };
+    };
+    const captureKey = (action, button) => {
+      const onKey = (event) => {
+        // Keep the press away from the game and the presenter shortcut
+        event.preventDefault();
+        event.stopPropagation();
+        if (event.key === 'Escape') {
+          stopCapture();
+          render();
+          return;
+        }
+        const name = Object.keys(Phaser.Input.Keyboard.KeyCodes)
+          .find((code) => Phaser.Input.Keyboard.KeyCodes[code] === event.keyCode);
+        if (!name) return;
+        stopCapture();
+        controlBindings[action].keys = [name];
+        applyBindings();
+      };
+      startCapture(button, () => window.removeEventListener('keydown', onKey, true));
+      window.addEventListener('keydown', onKey, true);
+    };
+    const captureButton = (action, button) => {
+      const gamepad = scene.input.gamepad;
+      if (!gamepad || !gamepad.total) {
+        button.textContent = t('controls.noGamepad');
+        return;
+      }
+      const onButton = (pad, padButton) => {
+        stopCapture();
+        controlBindings[action].buttons = [padButton.index];
+        applyBindings();
+      };
+      startCapture(button, () => gamepad.off('down', onButton));
+      gamepad.once('down', onButton);
+    };
+    render();
+    // Stop capturing as soon as the scene shuts down (e.g. the presenter
+    // moved on), or the game would keep ignoring input and the next key
+    // would still be taken as a binding
+    const onShutdown = () => stopCapture();
+    scene.events.once('shutdown', onShutdown);
+    return createOverlay(scene, {
+      title: t('controls.title'),
+      body: t('controls.body'),
+      element: form,
+    }).then(() => {
+      scene.events.off('shutdown', onShutdown);
+      stopCapture();
+    });
+  }
+
+  // -------- Audio --------
+  // Background music per scene, sound effects and optional narration of
+  // overlays. Nothing ships as a recording: music tracks are short note
+  // patterns from the `audio` section of the manifest and effects are
+  // synthesised with the Web Audio API, unless the manifest points a track
+  // or effect at a `url`. Narration plays an overlay's recorded `narration`
+  // file, else reads its title and body with the browser's speech
+  // synthesis. Settings are saved under AUDIO_KEY; `?narrate` in the URL
+  // turns narration on (e.g. for a self-guided booth) and `?mute` starts
+  // muted.
+  const AUDIO_KEY = 'gic-sec-adventure-audio';
+  const DEFAULT_AUDIO = { muted: false, music: 0.4, sfx: 0.7, voice: 1, narration: false };
+
+  // Built-in effects. A sweep glides from `from` to `to` Hz over
+  // `duration` seconds; `notes` are played one after another, `step`
+  // seconds apart.
+  const SFX = {
+    jump: { wave: 'square', from: 320, to: 640, duration: 0.12 },
+    collect: { wave: 'triangle', notes: ['E5', 'G5', 'C6'], step: 0.07 },
+    overlay: { wave: 'sine', from: 520, to: 780, duration: 0.15 },
+    bridge: { wave: 'triangle', notes: ['C5', 'E5', 'G5', 'C6'], step: 0.06 },
+    wrong: { wave: 'sawtooth', from: 220, to: 130, duration: 0.25 },
+  };
+
+  // Music is ducked to this fraction of its volume while narration plays
+  const NARRATION_DUCK = 0.3;
+  // How far ahead (s) music notes are scheduled, and how often (ms)
+  const MUSIC_LOOKAHEAD = 0.2;
+  const MUSIC_TICK = 50;
+
+  // Frequency in Hz of a note name such as "A4" or "C#5"
+  function noteFrequency(name) {
+    const match = /^([A-G])(#|b)?(-?\d)$/.exec(name);
+    if (!match) throw new Error(`Bad note "${name}"`);
+    const semitone = { C: -9, D: -7, E: -5, F: -4, G: -2, A: 0, B: 2 }[match[1]] +
+      (match[2] === '#' ? 1 : match[2] === 'b' ? -1 : 0) + (Number(match[3]) - 4) * 12;
+    return 440 * Math.pow(2, semitone / 12);
+  }
+
+  /**
+   * AudioManager
+   * Owns the Web Audio graph (music and effect gains into a master gain)
+   * and the saved audio settings. The AudioContext is only created after
+   * the first click or key press, as browsers require; music asked for
+   * before then starts as soon as it exists.
+   */
+  class AudioManager {
+    constructor() {
+      let saved = null;
+      try {
+        saved = JSON.parse(localStorage.getItem(AUDIO_KEY));
+      } catch (err) {
+        // storage disabled or corrupt; use the defaults
+      }
+      this.settings = { ...DEFAULT_AUDIO, ...saved };
+      const params = new URLSearchParams(location.search);
+      if (params.has('narrate')) this.settings.narration = true;
+      if (params.has('mute')) this.settings.muted = true;
+      this.context = null;
+      // Track wanted for the current scene, and what is playing it
+      this.track = null;
+      this.music = null;
+      this.narration = null;
+      this.unlock = this.unlock.bind(this);
+      window.addEventListener('pointerdown', this.unlock);
+      window.addEventListener('keydown', this.unlock);
+    }
+    unlock() {
+      window.removeEventListener('pointerdown', this.unlock);
+      window.removeEventListener('keydown', this.unlock);
+      const AudioContext = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContext) return;
+      this.context = new AudioContext();
+      this.master = this.context.createGain();
+      this.master.connect(this.context.destination);
+      this.musicGain = this.context.createGain();
+      this.musicGain.connect(this.master);
+      this.sfxGain = this.context.createGain();
+      this.sfxGain.connect(this.master);
+      this.applyVolumes();
+      if (this.track) this.startMusic(this.track);
+    }
+    // Changes some settings, applies them straight away and saves them
+    set(changes) {
+      Object.assign(this.settings, changes);
+      this.applyVolumes();
+      if (this.settings.muted || !this.settings.narration) this.stopNarration();
+      try {
+        localStorage.setItem(AUDIO_KEY, JSON.stringify(this.settings));
+      } catch (err) {
+        // Storage may be full or disabled; the settings just won't persist
+      }
+    }
+    applyVolumes() {
+      const { muted, music, sfx } = this.settings;
+      const musicVolume = music * (this.narration ? NARRATION_DUCK : 1);
+      if (this.context) {
+        this.master.gain.value = muted ? 0 : 1;
+        this.musicGain.gain.value = musicVolume;
+        this.sfxGain.gain.value = sfx;
+      }
+      if (this.music && this.music.element) this.music.element.volume = muted ? 0 : musicVolume;
+      if (this.narration && this.narration.element) {
+        this.narration.element.volume = muted ? 0 : this.settings.voice;
+      }
+    }
+    // Plays the music the manifest gives `sceneKey`. A scene that shares
+    // its track with the previous one (or restarts, e.g. on a language
+    // change) keeps it playing.
+    playSceneMusic(scene) {
+      const config = getManifest(scene).audio || {};
+      const name = (config.music || {})[scene.scene.key];
+      const track = name ? { name, ...(config.tracks || {})[name] } : null;
+      if ((track && track.name) === (this.track && this.track.name)) return;
+      this.stopMusic();
+      this.track = track;
+      if (track && this.context) this.startMusic(track);
+    }
+    // Starts a track's recording if it has a `url`, falling back to its
+    // note pattern if the file cannot play
+    startMusic(track) {
+      if (track.url) {
+        const element = new Audio(track.url);
+        element.loop = true;
+        const music = { element };
+        const fallBack = () => {
+          if (this.music !== music) return;
+          this.music = null;
+          if (track.notes) this.startPattern(track);
+        };
+        element.addEventListener('error', fallBack);
+        element.play().catch(fallBack);
+        this.music = music;
+        this.applyVolumes();
+      } else if (track.notes) {
+        this.startPattern(track);
+      }
+    }
+    // Loops a note pattern: `notes` (a name, or null for a rest) are
+    // eighth notes at `bpm`, with an optional `bass` line spread evenly
+    // over the same bar
+    startPattern({ notes, bass, bpm = 100, wave = 'triangle' }) {
+      const step = 30 / bpm;
+      const bassSteps = bass && bass.length ? Math.max(1, Math.round(notes.length / bass.length)) : 0;
+      let index = 0;
+      let nextTime = this.context.currentTime + 0.05;
+      const timer = setInterval(() => {
+        while (nextTime < this.context.currentTime + MUSIC_LOOKAHEAD) {
+          const note = notes[index % notes.length];
+          if (note) {
+            this.tone(this.musicGain, {
+              wave, frequency: noteFrequency(note), at: nextTime, duration: step * 0.9, volume: 0.25,
+            });
+          }
+          const low = bassSteps && index % bassSteps === 0 && bass[(index / bassSteps) % bass.length];
+          if (low) {
+            this.tone(this.musicGain, {
+              wave: 'sine', frequency: noteFrequency(low), at: nextTime, duration: step * bassSteps * 0.95, volume: 0.35,
+            });
+          }
+          index += 1;
+          nextTime += step;
+        }
+      }, MUSIC_TICK);
+      this.music = { timer };
+    }
+    stopMusic() {
+      if (!this.music) return;
+      if (this.music.timer) clearInterval(this.music.timer);
+      if (this.music.element) this.music.element.pause();
+      this.music = null;
+    }
+    // One oscillator note with a short attack and release, into `output`
+    tone(output, { wave, frequency, to, at, duration, volume = 0.3 }) {
+      const oscillator = this.context.createOscillator();
+      const gain = this.context.createGain();
+      oscillator.type = wave;
+      oscillator.frequency.setValueAtTime(frequency, at);
+      if (to) oscillator.frequency.exponentialRampToValueAtTime(to, at + duration);
+      gain.gain.setValueAtTime(0, at);
+      gain.gain.linearRampToValueAtTime(volume, at + 0.01);
+      gain.gain.exponentialRampToValueAtTime(0.001, at + duration);
+      oscillator.connect(gain).connect(output);
+      oscillator.start(at);
+      oscillator.stop(at + duration + 0.02);
+    }
+    // Plays a sound effect by name: the manifest's recording if
+    // `audio.sfx` gives one, else the synthesised SFX entry
+    play(name) {
+      if (!this.context || this.settings.muted) return;
+      const config = activeScene ? getManifest(activeScene).audio || {} : {};
+      const url = (config.sfx || {})[name];
+      if (url) {
+        const element = new Audio(url);
+        element.volume = this.settings.sfx;
+        element.play().catch(() => {});
+        return;
+      }
+      const effect = SFX[name];
+      if (!effect) return;
+      const at = this.context.currentTime;
+      if (effect.notes) {
+        effect.notes.forEach((note, i) => {
+          this.tone(this.sfxGain, {
+            wave: effect.wave, frequency: noteFrequency(note), at: at + i * effect.step, duration: effect.step * 1.5,
+          });
+        });
+      } else {
+        this.tone(this.sfxGain, {
+          wave: effect.wave, frequency: effect.from, to: effect.to, at, duration: effect.duration,
         });
-        overlay.add(outputText);
-        nextY = outputText.y + outputText.height + 10;
       }
-      // Close button
-      const button = scene.add.text(panelX + panelWidth - 80, panelY + panelHeight - 40, 'Close', {
-        fontSize: '20px',
-        fontFamily: 'Arial',
-        color: '#ffffff',
-        backgroundColor: '#247ba0',
-        padding: { left: 10, right: 10, top: 5, bottom: 5 },
-      }).setInteractive({ useHandCursor: true });
-      overlay.add(button);
-      button.on('pointerdown', () => {
-        overlay.destroy();
-        resolve();
+    }
+    // Reads an overlay aloud when narration is on: its recorded
+    // `narration` file if it has one, else its title and body through
+    // speech synthesis. Replaces any narration already playing.
+    narrate({ title, body, narration }) {
+      this.stopNarration();
+      if (!this.settings.narration || this.settings.muted) return;
+      const current = {};
+      const done = () => {
+        if (this.narration !== current) return;
+        this.narration = null;
+        this.applyVolumes();
+      };
+      const speak = () => {
+        if (current.utterance) return;
+        if (this.narration !== current || !window.speechSynthesis) return done();
+        const utterance = new SpeechSynthesisUtterance([title, body].filter(Boolean).join('. '));
+        utterance.lang = i18n.lang;
+        utterance.volume = this.settings.voice;
+        utterance.onend = done;
+        utterance.onerror = done;
+        current.utterance = utterance;
+        speechSynthesis.speak(utterance);
+      };
+      this.narration = current;
+      if (narration) {
+        const element = new Audio(narration);
+        element.volume = this.settings.voice;
+        element.addEventListener('ended', done);
+        element.addEventListener('error', speak);
+        element.play().catch(speak);
+        current.element = element;
+      } else {
+        speak();
+      }
+      this.applyVolumes();
+    }
+    stopNarration() {
+      const current = this.narration;
+      if (!current) return;
+      this.narration = null;
+      if (current.element) current.element.pause();
+      if (current.utterance) speechSynthesis.cancel();
+      this.applyVolumes();
+    }
+  }
+
+  const audio = new AudioManager();
+
+  // Shows the audio settings: mute, a volume slider each for music,
+  // effects and narration, and whether overlays are narrated. Changes
+  // apply (and are saved) as soon as a control moves.
+  function openAudioOverlay(scene) {
+    const form = document.createElement('form');
+    form.className = 'overlay-form';
+    const addControl = (name, type) => {
+      const label = document.createElement('label');
+      label.textContent = t(`audio.${name}`);
+      const control = document.createElement('input');
+      control.type = type;
+      control.name = name;
+      if (type === 'checkbox') {
+        control.checked = audio.settings[name];
+      } else {
+        control.min = 0;
+        control.max = 100;
+        control.value = Math.round(audio.settings[name] * 100);
+      }
+      control.addEventListener('input', () => {
+        audio.set({ [name]: type === 'checkbox' ? control.checked : control.value / 100 });
+        if (name === 'sfx') audio.play('collect');
       });
+      label.appendChild(control);
+      form.appendChild(label);
+    };
+    addControl('muted', 'checkbox');
+    addControl('music', 'range');
+    addControl('sfx', 'range');
+    addControl('voice', 'range');
+    addControl('narration', 'checkbox');
+    form.addEventListener('submit', (event) => event.preventDefault());
+    return createOverlay(scene, {
+      title: t('audio.title'),
+      body: t('audio.body'),
+      element: form,
     });
   }
 
@@ -114,11 +2670,18 @@ const MARKER_SCALE = 1.25;  // visible benefit markers / labels
       this.load.image('security_bg', 'assets/security_bg.png');
       // Load platform tileset atlas for building proper ground and obstacles
       this.load.atlas('platform', 'assets/platform_tileset.png', 'assets/platform_tileset_atlas.json');
-      // Load level layout (2D array) for more complex maps. The file defines
-      // `data`, `tileWidth` and `tileHeight` fields and can be used with
-      // Phaser’s tilemap API. It is optional but available if you wish to
-      // customise levels further.
-      this.load.json('level1', 'assets/platform_level_example.json');
+      // Load level layouts (2D arrays of tile indices). Gameplay scenes
+      // refer to these by key and turn them into collision bodies with
+      // buildLevel(), so levels can be redesigned by editing JSON alone.
+      Object.entries(LEVEL_FILES).forEach(([key, url]) => {
+        this.load.json(key, url);
+      });
+      // Load the presentation manifest that drives all slide content, and
+      // the string bundle of every language
+      this.load.json('presentation', 'assets/presentation.json');
+      LOCALES.forEach((lang) => {
+        this.load.json(`locale_${lang}`, `assets/locales/${lang}.json`);
+      });
       // Attempt to load robot animations and atlas if available. If the image is
       // missing the atlas loader will emit a warning but will not break the
       // game. To fully integrate the animated character please provide
@@ -141,7 +2704,41 @@ const MARKER_SCALE = 1.25;  // visible benefit markers / labels
           repeat: def.repeat,
         });
       });
-      this.scene.start('TitleScene');
+      createBugTexture(this);
+      // Tiled maps are converted to the level format once, here, and every
+      // level is checked before a scene builds it. A level that fails is
+      // recorded in levelErrors rather than stopping the whole game.
+      Object.keys(LEVEL_FILES).forEach((key) => {
+        const json = this.cache.json.get(key);
+        let level;
+        try {
+          level = isTiledMap(json) ? fromTiledMap(json) : json;
+          validateLevel(level, getTileFrames(this, level.tileWidth, level.tileHeight),
+            this.cache.json.get('presentation').steps.length);
+        } catch (err) {
+          levelErrors[key] = err.message;
+          return;
+        }
+        this.cache.json.remove(key);
+        this.cache.json.add(key, level);
+      });
+      settleRegisteredStations(this.cache.json.get('presentation'));
+      LOCALES.forEach((lang) => {
+        i18n.bundles[lang] = this.cache.json.get(`locale_${lang}`);
+      });
+      setLanguage(chooseLanguage());
+      if (editMode) {
+        this.scene.start('EditorScene');
+        return;
+      }
+      // Restore saved progress, then start at the URL hash deep link if
+      // there is one, else where the audience left off, else the beginning
+      const saved = loadProgress();
+      if (saved) progress.restore(saved.state);
+      if (!startRoute(this, parseRoute(location.hash.slice(1))) &&
+          !startRoute(this, saved && parseRoute(saved.route))) {
+        this.scene.start(getManifest(this).scenes[0]);
+      }
     }
   }
 
@@ -157,18 +2754,13 @@ const MARKER_SCALE = 1.25;  // visible benefit markers / labels
     }
     create() {
       const { width, height } = this.scale;
-      // Add a consistent background image covering the entire screen. Store
-      // it on the scene so it can be resized when the game scales.
+      const content = getManifest(this).title;
+      // Add a consistent background image covering the entire screen
       this.bg = this.add.image(0, 0, 'city_bg');
       this.bg.setOrigin(0);
       this.bg.setDisplaySize(width, height);
-      // Update the background size on window resize
-      this.scale.on('resize', (gameSize) => {
-        const { width: w, height: h } = gameSize;
-        this.bg.setDisplaySize(w, h);
-      });
       // Title text
-      const title = this.add.text(width / 2, height * 0.25, 'Node modules with Rust: GIC Security module', {
+      const title = this.add.text(width / 2, height * 0.25, content.heading, {
         fontSize: '42px',
         fontFamily: 'Arial',
         color: '#ffffff',
@@ -177,7 +2769,7 @@ const MARKER_SCALE = 1.25;  // visible benefit markers / labels
         wordWrap: { width: width * 0.8 }
       }).setOrigin(0.5);
       // Subtitle
-      this.add.text(width / 2, height * 0.35, 'Creating custom node modules to streamline and standardise code to avoid reinventing the wheel.', {
+      this.add.text(width / 2, height * 0.35, content.subtitle, {
         fontSize: '20px',
         fontFamily: 'Arial',
         color: '#aeeaff',
@@ -185,7 +2777,7 @@ const MARKER_SCALE = 1.25;  // visible benefit markers / labels
         wordWrap: { width: width * 0.8 }
       }).setOrigin(0.5);
       // Play button
-      const playButton = this.add.text(width / 2, height * 0.55, 'Start Adventure', {
+      const playButton = this.add.text(width / 2, height * 0.55, content.start, {
         fontSize: '28px',
         fontFamily: 'Arial',
         color: '#ffffff',
@@ -203,8 +2795,668 @@ const MARKER_SCALE = 1.25;  // visible benefit markers / labels
         ease: 'Sine.easeInOut'
       });
       playButton.on('pointerdown', () => {
-        this.scene.start('BenefitScene');
+        startNextScene(this);
+      });
+      this.createChapterMenu(height * 0.7);
+      // Presenter view link for speakers
+      this.add.text(width / 2, height - 40, t('title.presenterHint'), {
+        fontSize: '16px',
+        fontFamily: 'Arial',
+        color: '#aeeaff',
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        padding: { left: 10, right: 10, top: 5, bottom: 5 }
+      }).setOrigin(0.5).setInteractive({ useHandCursor: true })
+        .on('pointerdown', openPresenterWindow);
+      // Controls rebinding
+      this.add.text(width - 20, 20, t('title.controls'), {
+        fontSize: '18px',
+        fontFamily: 'Arial',
+        color: '#ffffff',
+        backgroundColor: '#247ba0',
+        padding: { left: 10, right: 10, top: 5, bottom: 5 }
+      }).setOrigin(1, 0).setInteractive({ useHandCursor: true })
+        .on('pointerdown', () => openControlsOverlay(this));
+      // High contrast / large text overlays
+      const contrastLabel = () => t('title.highContrast', { state: t(a11y.highContrast ? 'title.on' : 'title.off') });
+      const contrastButton = this.add.text(width - 20, 60, contrastLabel(), {
+        fontSize: '18px',
+        fontFamily: 'Arial',
+        color: '#ffffff',
+        backgroundColor: '#247ba0',
+        padding: { left: 10, right: 10, top: 5, bottom: 5 }
+      }).setOrigin(1, 0).setInteractive({ useHandCursor: true })
+        .on('pointerdown', () => {
+          setHighContrast(!a11y.highContrast);
+          contrastButton.setText(contrastLabel());
+        });
+      // Music, effects and narration settings
+      this.add.text(width - 20, 100, t('title.audio'), {
+        fontSize: '18px',
+        fontFamily: 'Arial',
+        color: '#ffffff',
+        backgroundColor: '#247ba0',
+        padding: { left: 10, right: 10, top: 5, bottom: 5 }
+      }).setOrigin(1, 0).setInteractive({ useHandCursor: true })
+        .on('pointerdown', () => openAudioOverlay(this));
+      this.createLanguagePicker();
+      sceneStarted(this);
+    }
+    // Language picker: one button per bundle in LOCALES, top left, with
+    // the current language highlighted. Picking one restarts the scene in
+    // that language.
+    createLanguagePicker() {
+      let x = 20;
+      LOCALES.forEach((lang) => {
+        const bundle = i18n.bundles[lang];
+        if (!bundle) return;
+        const current = lang === i18n.lang;
+        const button = this.add.text(x, 20, bundle.name || lang, {
+          fontSize: '18px',
+          fontFamily: 'Arial',
+          color: '#ffffff',
+          backgroundColor: current ? '#0b3c5d' : '#247ba0',
+          padding: { left: 10, right: 10, top: 5, bottom: 5 }
+        }).setInteractive({ useHandCursor: true })
+          .on('pointerdown', () => {
+            if (current) return;
+            saveLanguage(lang);
+            setLanguage(lang);
+            this.scene.restart();
+          });
+        x += button.width + 10;
+      });
+    }
+    // Chapter menu: one button per scene after this one, so a presenter can
+    // jump straight to the section they are discussing. Buttons are laid
+    // out in centred rows that wrap on narrow screens.
+    createChapterMenu(top) {
+      const { width } = this.scale;
+      const manifest = getManifest(this);
+      const chapters = manifest.chapters || {};
+      this.add.text(width / 2, top, t('title.chapters'), {
+        fontSize: '18px',
+        fontFamily: 'Arial',
+        color: '#aeeaff'
+      }).setOrigin(0.5);
+      const buttons = manifest.scenes
+        .filter((key) => key !== this.scene.key)
+        .map((key) => this.add.text(0, 0, chapters[key] || key, {
+          fontSize: '18px',
+          fontFamily: 'Arial',
+          color: '#ffffff',
+          backgroundColor: '#247ba0',
+          padding: { left: 10, right: 10, top: 5, bottom: 5 }
+        }).setInteractive({ useHandCursor: true })
+          .on('pointerdown', () => this.scene.start(key)));
+      const gap = 10;
+      const maxRowWidth = width * 0.9;
+      const rows = [[]];
+      let rowWidth = 0;
+      buttons.forEach((button) => {
+        if (rowWidth + button.width > maxRowWidth && rows[rows.length - 1].length) {
+          rows.push([]);
+          rowWidth = 0;
+        }
+        rows[rows.length - 1].push(button);
+        rowWidth += button.width + gap;
+      });
+      rows.forEach((row, r) => {
+        const total = row.reduce((sum, b) => sum + b.width, 0) + gap * (row.length - 1);
+        let x = (width - total) / 2;
+        row.forEach((button) => {
+          button.setPosition(x, top + 20 + r * (button.height + gap));
+          x += button.width + gap;
+        });
+      });
+    }
+  }
+
+  // Movement tuning for the robot, at a level scale of 1. Speeds and
+  // gravity are multiplied by the level's scale so jumps cover the same
+  // number of tiles whatever the screen size.
+  const PLAYER_TUNING = {
+    speed: 200,           // horizontal speed (px/s)
+    jumpVelocity: 320,    // initial upward speed of a jump (px/s)
+    gravity: 300,         // extra gravity on the robot (px/s²)
+    coyoteTime: 100,      // ms after leaving a ledge that a jump still counts
+    jumpBuffer: 120,      // ms a jump pressed just before landing is remembered
+    jumpCut: 0.5,         // upward speed kept when jump is released early
+    runMultiplier: 1.7,   // horizontal speed multiplier while run is held
+    attackTime: 330,      // ms an attack lasts (the robot-attack animation)
+    attackReach: 36,      // how far in front of the robot an attack hits (px)
+    maxHealth: 3,
+    knockback: 200,       // speed the robot is thrown back when hurt (px/s)
+    hurtTime: 400,        // ms after being hurt before the robot can be steered
+    invulnerableTime: 1200, // ms after being hurt or respawning that nothing hurts
+  };
+
+  /**
+   * PlayerController
+   * Creates the robot sprite and drives it from the scene's InputLayer
+   * (keyboard, gamepad or touch buttons): walking, running, jumping,
+   * attacking and the matching animations. Jumps are forgiving: a jump
+   * pressed shortly before landing is buffered, one pressed shortly after
+   * running off a ledge still works (coyote time) and releasing the key
+   * early cuts the jump short for variable jump height. It also keeps the
+   * robot's health: hurt() knocks it back and emits `health`, and at zero
+   * health it plays the death animation and emits `died` until respawn().
+   */
+  class PlayerController extends Phaser.Events.EventEmitter {
+    constructor(scene, controls, x, groundY, scale = 1) {
+      super();
+      this.scene = scene;
+      this.controls = controls;
+      this.scale = scale;
+      // Use the loaded robot sprite. The sprite is initialised with the
+      // idle frame and has an arcade physics body attached automatically.
+      // World bounds keep it in the level.
+      this.sprite = scene.physics.add.sprite(x, 0, 'robot', 'idle_0').setScale(scale);
+      this.sprite.y = groundY - this.sprite.displayHeight / 2;
+      this.sprite.setCollideWorldBounds(true);
+      this.sprite.setGravityY(PLAYER_TUNING.gravity * scale);
+      this.sprite.anims.play('robot-idle');
+      // Timestamps (ms) of the last time the robot stood on something and
+      // the last time jump was pressed
+      this.lastGrounded = -Infinity;
+      this.lastJumpPressed = -Infinity;
+      // Times (ms) until which the current attack lasts, the robot cannot
+      // be steered after a hit and nothing can hurt it
+      this.attackUntil = -Infinity;
+      this.stunnedUntil = -Infinity;
+      this.invulnerableUntil = -Infinity;
+      this.health = PLAYER_TUNING.maxHealth;
+      this.dead = false;
+      scene.events.once('shutdown', () => this.removeAllListeners());
+    }
+    get attacking() {
+      return this.scene.time.now < this.attackUntil;
+    }
+    // The area in front of the robot that an attack hits
+    attackZone() {
+      const bounds = this.sprite.getBounds();
+      const reach = PLAYER_TUNING.attackReach * this.scale;
+      const x = this.sprite.flipX ? bounds.left - reach : bounds.right - bounds.width / 2;
+      return new Phaser.Geom.Rectangle(x, bounds.top, bounds.width / 2 + reach, bounds.height);
+    }
+    // Takes one point of health and knocks the robot away from `fromX`.
+    // Returns false when the robot is invulnerable or already dead.
+    hurt(fromX) {
+      const time = this.scene.time.now;
+      if (this.dead || time < this.invulnerableUntil) return false;
+      const player = this.sprite;
+      this.health -= 1;
+      this.attackUntil = -Infinity;
+      this.emit('health', this.health);
+      if (this.health <= 0) {
+        this.dead = true;
+        player.setVelocity(0, 0);
+        player.anims.play('robot-die');
+        player.once('animationcomplete-robot-die', () => this.emit('died'));
+        return true;
+      }
+      this.stunnedUntil = time + PLAYER_TUNING.hurtTime;
+      const direction = player.x < fromX ? -1 : 1;
+      player.setVelocity(direction * PLAYER_TUNING.knockback * this.scale, -PLAYER_TUNING.knockback * this.scale);
+      player.anims.play('robot-hurt');
+      this.flicker();
+      return true;
+    }
+    // Brings the robot back with full health, standing at x
+    respawn(x, groundY) {
+      const player = this.sprite;
+      this.dead = false;
+      this.health = PLAYER_TUNING.maxHealth;
+      player.setVelocity(0, 0);
+      player.setPosition(x, groundY - player.displayHeight / 2);
+      player.anims.play('robot-idle');
+      this.flicker();
+      this.emit('health', this.health);
+    }
+    // Blinks the robot while it is invulnerable
+    flicker() {
+      this.invulnerableUntil = this.scene.time.now + PLAYER_TUNING.invulnerableTime;
+      this.scene.tweens.killTweensOf(this.sprite);
+      this.sprite.setAlpha(1);
+      this.scene.tweens.add({
+        targets: this.sprite,
+        alpha: 0.3,
+        duration: 100,
+        yoyo: true,
+        repeat: Math.floor(PLAYER_TUNING.invulnerableTime / 200) - 1,
+        onComplete: () => this.sprite.setAlpha(1),
+      });
+    }
+    update(time) {
+      const player = this.sprite;
+      // No steering while dying or being knocked back
+      if (this.dead || time < this.stunnedUntil) return;
+      const onGround = player.body.blocked.down;
+      const running = this.controls.isDown('run');
+      const speed = PLAYER_TUNING.speed * this.scale * (running ? PLAYER_TUNING.runMultiplier : 1);
+      const moveAnim = running ? 'robot-run' : 'robot-walk';
+      if (onGround) this.lastGrounded = time;
+      if (this.controls.justDown('jump')) this.lastJumpPressed = time;
+      if (this.controls.justDown('attack') && !this.attacking) {
+        this.attackUntil = time + PLAYER_TUNING.attackTime;
+        player.anims.play('robot-attack');
+      }
+      // The attack animation plays out over any movement animation
+      const animate = (key) => {
+        if (!this.attacking) player.anims.play(key, true);
+      };
+      // Horizontal movement & animations
+      if (this.controls.isDown('left')) {
+        player.setVelocityX(-speed);
+        player.setFlipX(true);
+        if (onGround) animate(moveAnim);
+      } else if (this.controls.isDown('right')) {
+        player.setVelocityX(speed);
+        player.setFlipX(false);
+        if (onGround) animate(moveAnim);
+      } else {
+        player.setVelocityX(0);
+        if (onGround) animate('robot-idle');
+      }
+      // Jump, honouring the jump buffer and coyote time
+      const jumpQueued = time - this.lastJumpPressed <= PLAYER_TUNING.jumpBuffer;
+      const canJump = time - this.lastGrounded <= PLAYER_TUNING.coyoteTime;
+      if (jumpQueued && canJump) {
+        player.setVelocityY(-PLAYER_TUNING.jumpVelocity * this.scale);
+        animate('robot-jump');
+        audio.play('jump');
+        this.lastJumpPressed = -Infinity;
+        this.lastGrounded = -Infinity;
+      }
+      // Variable jump height: releasing jump while rising cuts the jump
+      if (this.controls.justUp('jump') && player.body.velocity.y < 0) {
+        player.setVelocityY(player.body.velocity.y * PLAYER_TUNING.jumpCut);
+      }
+      // Falling animation
+      if (!onGround && player.body.velocity.y > 0) {
+        animate('robot-fall');
+      }
+    }
+  }
+
+  // Patrol speed of vulnerability enemies (px/s at a level scale of 1) and
+  // the pause (ms) after the death animation before the robot respawns
+  const ENEMY_SPEED = 45;
+  const RESPAWN_DELAY = 500;
+
+  // Draws the white bug texture of the vulnerability enemies; each enemy
+  // tints it with its own colour
+  function createBugTexture(scene) {
+    if (scene.textures.exists('vulnerability')) return;
+    const g = scene.make.graphics({ add: false });
+    g.lineStyle(2, 0xffffff);
+    [8, 16, 24].forEach((x) => g.lineBetween(x, 16, x + (x - 16) / 2, 23));
+    g.lineBetween(11, 7, 8, 1);
+    g.lineBetween(21, 7, 24, 1);
+    g.fillStyle(0xffffff);
+    g.fillEllipse(16, 13, 26, 16);
+    g.fillStyle(0x000000);
+    g.fillCircle(11, 11, 2.5);
+    g.fillCircle(21, 11, 2.5);
+    g.generateTexture('vulnerability', 32, 24);
+    g.destroy();
+  }
+
+  /**
+   * Hazards
+   * Everything in a gameplay scene that can hurt the robot and what helps
+   * it recover: the level's spike tiles, the patrolling "vulnerability"
+   * enemies and the checkpoints listed for the scene under `hazards` in
+   * the manifest, and the health HUD. Touching a spike or an enemy costs a
+   * heart; losing the last one respawns the robot at the latest
+   * checkpoint. Attacking an enemy squashes it and opens an overlay with
+   * the error Rust's compiler gives for the same bug.
+   */
+  class Hazards {
+    constructor(scene, playerController, config = {}) {
+      this.scene = scene;
+      this.playerController = playerController;
+      this.enemyDefs = config.enemies || [];
+      const player = playerController.sprite;
+      // Where the robot comes back after losing all its health
+      this.respawnX = player.x;
+      scene.physics.add.overlap(player, scene.level.hazards, (p, spike) => this.hurt(spike.x));
+      (config.checkpoints || []).forEach((col) => this.addCheckpoint(col));
+      this.enemies = scene.physics.add.group({ allowGravity: false, immovable: true });
+      const { defeated = {} } = progress.get(scene.scene.key);
+      this.enemyDefs.filter((def) => !defeated[def.key]).forEach((def) => this.addEnemy(def));
+      scene.physics.add.overlap(player, this.enemies, (p, enemy) => this.touchEnemy(enemy));
+      if (this.enemyDefs.length) scene.controls.addTouchButtons(['attack']);
+      // Patrols stop while the physics is paused (an overlay is open), so
+      // no enemy walks onto the robot in the meantime
+      scene.physics.world.on('pause', () => this.pausePatrols(true));
+      scene.physics.world.on('resume', () => this.pausePatrols(false));
+      // Health HUD, one heart per point of health
+      this.hud = scene.add.text(16, 16, '', {
+        fontSize: '26px',
+        fontFamily: 'Arial',
+        color: '#ff595e',
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        padding: { left: 8, right: 8, top: 2, bottom: 2 },
+      }).setScrollFactor(0).setDepth(10);
+      this.renderHealth(playerController.health);
+      playerController.on('health', this.renderHealth, this);
+      playerController.on('died', () => {
+        this.scene.time.delayedCall(RESPAWN_DELAY, () => {
+          const x = this.respawnX;
+          playerController.respawn(x, this.scene.level.surfaceAt(x));
+        });
+      });
+    }
+    renderHealth(health) {
+      this.hud.setText('♥'.repeat(Math.max(0, health)) + '♡'.repeat(PLAYER_TUNING.maxHealth - Math.max(0, health)));
+    }
+    // Nothing hurts while an overlay is being read
+    hurt(fromX) {
+      if (openOverlays.length) return;
+      this.playerController.hurt(fromX);
+    }
+    addCheckpoint(col) {
+      const { scene } = this;
+      const level = scene.level;
+      const { x } = level.toWorld(col, 0);
+      const groundY = level.surfaceAt(x);
+      const poleHeight = level.tileHeight * 1.6;
+      const flagSize = level.tileHeight * 0.6;
+      const flag = scene.add.graphics();
+      const draw = (color) => {
+        flag.clear();
+        flag.fillStyle(0xd0d0d0);
+        flag.fillRect(x - 2, groundY - poleHeight, 4, poleHeight);
+        flag.fillStyle(color);
+        flag.fillTriangle(x + 2, groundY - poleHeight, x + 2 + flagSize, groundY - poleHeight + flagSize / 2,
+          x + 2, groundY - poleHeight + flagSize);
+      };
+      draw(0x808080);
+      const zone = scene.add.zone(x, groundY - poleHeight / 2, level.tileWidth, poleHeight);
+      scene.physics.add.existing(zone, true);
+      let reached = false;
+      scene.physics.add.overlap(this.playerController.sprite, zone, () => {
+        if (this.playerController.dead) return;
+        this.respawnX = x;
+        if (reached) return;
+        reached = true;
+        draw(0x8ac926);
+        const text = scene.add.text(x, groundY - poleHeight - 6, t('hazards.checkpoint'), {
+          fontSize: '16px',
+          fontFamily: 'Arial',
+          color: '#8ac926',
+        }).setOrigin(0.5, 1);
+        scene.tweens.add({
+          targets: text,
+          y: text.y - 30,
+          alpha: 0,
+          duration: 1200,
+          onComplete: () => text.destroy(),
+        });
+      });
+    }
+    // Enemies walk the ground between columns `col` and `to`
+    addEnemy(def) {
+      const { scene } = this;
+      const level = scene.level;
+      const from = level.toWorld(def.col, 0).x;
+      const to = level.toWorld(def.to === undefined ? def.col : def.to, 0).x;
+      const enemy = this.enemies.create(from, 0, 'vulnerability')
+        .setScale(level.scale)
+        .setTint(Phaser.Display.Color.HexStringToColor(def.color).color);
+      enemy.y = level.surfaceAt(from) - enemy.displayHeight / 2;
+      enemy.body.moves = false; // moved by its patrol tween
+      enemy.def = def;
+      enemy.label = scene.add.text(from, enemy.y - enemy.displayHeight / 2 - 4, def.label, {
+        fontSize: '13px',
+        fontFamily: 'Arial',
+        color: '#ffffff',
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        padding: { left: 4, right: 4, top: 1, bottom: 1 },
+      }).setOrigin(0.5, 1);
+      if (to !== from) {
+        enemy.patrol = scene.tweens.add({
+          targets: enemy,
+          x: to,
+          duration: Math.abs(to - from) / (ENEMY_SPEED * level.scale) * 1000,
+          ease: 'Sine.easeInOut',
+          yoyo: true,
+          repeat: -1,
+        });
+      }
+    }
+    pausePatrols(paused) {
+      this.enemies.getChildren().forEach((enemy) => {
+        if (!enemy.patrol || enemy.defeated) return;
+        if (paused) enemy.patrol.pause();
+        else enemy.patrol.resume();
+      });
+    }
+    touchEnemy(enemy) {
+      if (enemy.defeated) return;
+      if (this.playerController.attacking) this.defeat(enemy);
+      else this.hurt(enemy.x);
+    }
+    defeat(enemy) {
+      const { scene } = this;
+      enemy.defeated = true;
+      enemy.body.enable = false;
+      scene.tweens.killTweensOf(enemy);
+      scene.tweens.add({ targets: enemy, scaleY: 0, alpha: 0, duration: 300, onComplete: () => enemy.destroy() });
+      scene.tweens.add({ targets: enemy.label, alpha: 0, duration: 300, onComplete: () => enemy.label.destroy() });
+      this.showEnemy(enemy.def.key);
+    }
+    // Records the enemy as defeated and explains how Rust prevents its bug
+    showEnemy(key) {
+      const sceneKey = this.scene.scene.key;
+      const { defeated = {} } = progress.get(sceneKey);
+      progress.set(sceneKey, { defeated: { ...defeated, [key]: true } });
+      const { title, body, code, language, error, narration } = this.enemyDefs.find((def) => def.key === key);
+      createOverlay(this.scene, { title, body, code, language: language || 'rust', output: error, narration });
+    }
+    update() {
+      const player = this.playerController;
+      const zone = player.attacking ? player.attackZone() : null;
+      this.enemies.getChildren().forEach((enemy) => {
+        if (enemy.defeated) return;
+        // Face the way it walks and carry the label along
+        if (enemy.x !== enemy.label.x) enemy.setFlipX(enemy.x < enemy.label.x);
+        enemy.label.x = enemy.x;
+        if (zone && Phaser.Geom.Rectangle.Overlaps(zone, enemy.getBounds())) this.defeat(enemy);
+      });
+    }
+    // Presenter view entries for the enemies, and opening one from there
+    presenterItems() {
+      const { defeated = {} } = progress.get(this.scene.scene.key);
+      return this.enemyDefs.map((def) => ({
+        id: `hazard:${def.key}`,
+        title: def.title,
+        notes: def.notes || '',
+        done: Boolean(defeated[def.key]),
+      }));
+    }
+    openPresenterItem(id) {
+      const def = this.enemyDefs.find((d) => `hazard:${d.key}` === id);
+      if (!def) return false;
+      const enemy = this.enemies.getChildren().find((child) => child.def === def && !child.defeated);
+      if (enemy) this.defeat(enemy);
+      else this.showEnemy(def.key);
+      return true;
+    }
+  }
+
+  // How fast the contour layer behind the level scrolls, relative to the
+  // camera
+  const PARALLAX_FACTOR = 0.3;
+
+  /**
+   * Minimap
+   * A small map of the whole level fixed to the top right corner: the
+   * level's tiles, a marker for each item the scene reports from
+   * minimapMarkers() (green once done), the robot, the part of the level
+   * on screen and a count of the items done.
+   */
+  class Minimap {
+    constructor(scene) {
+      this.scene = scene;
+      const level = scene.level;
+      const { width } = scene.scale;
+      this.width = Math.min(220, width * 0.25);
+      this.factor = this.width / level.worldWidth;
+      this.height = level.worldHeight * this.factor;
+      this.x = width - this.width - 16;
+      this.y = 16;
+      const map = scene.add.graphics().setScrollFactor(0).setDepth(10);
+      map.fillStyle(0x000000, 0.5);
+      map.fillRect(this.x, this.y, this.width, this.height);
+      map.fillStyle(0x8bf0ff, 0.6);
+      level.platforms.getChildren().forEach((tile) => {
+        map.fillRect(this.x + tile.x * this.factor, this.y + tile.y * this.factor,
+          Math.max(1, tile.displayWidth * this.factor), Math.max(1, tile.displayHeight * this.factor));
+      });
+      this.overlay = scene.add.graphics().setScrollFactor(0).setDepth(10);
+      this.count = scene.add.text(this.x - 8, this.y, '', {
+        fontSize: '16px',
+        fontFamily: 'Arial',
+        color: '#ffffff',
+        backgroundColor: 'rgba(0,0,0,0.5)',
+        padding: { left: 6, right: 6, top: 2, bottom: 2 },
+      }).setOrigin(1, 0).setScrollFactor(0).setDepth(10);
+    }
+    update() {
+      const { scene, factor } = this;
+      const g = this.overlay;
+      const markers = scene.minimapMarkers();
+      g.clear();
+      markers.forEach(({ x, y, done }) => {
+        g.fillStyle(done ? 0x8ac926 : 0xffd54f);
+        g.fillCircle(this.x + x * factor, this.y + y * factor, 3);
+      });
+      g.fillStyle(0xffffff);
+      g.fillCircle(this.x + scene.player.x * factor, this.y + scene.player.y * factor, 3);
+      const view = scene.cameras.main.worldView;
+      g.lineStyle(1, 0xffffff, 0.6);
+      g.strokeRect(this.x + view.x * factor, this.y + view.y * factor, view.width * factor, view.height * factor);
+      this.count.visible = markers.length > 0;
+      this.count.setText(`${markers.filter((marker) => marker.done).length}/${markers.length}`);
+    }
+  }
+
+  /**
+   * GameplayScene
+   * Base class for the platforming scenes. create() sets up what they all
+   * share: the parallax background, the level named by `levelKey` and the
+   * player, with collisions between the two, a camera that follows the
+   * robot across levels wider than the screen and the Minimap, plus
+   * Hazards when the level has spikes or the manifest lists hazards for
+   * the scene. Subclasses call super.create() first and then add their
+   * own objects; text and buttons that belong to the screen rather than
+   * the level use setScrollFactor(0). When the level failed to load,
+   * create() shows why with a button to the next scene and returns false,
+   * and the subclass stops there.
+   */
+  class GameplayScene extends Phaser.Scene {
+    constructor(key, levelKey) {
+      super(key);
+      // Key of the level file (see LEVEL_FILES) this scene is built from
+      this.levelKey = levelKey;
+    }
+    create() {
+      const { width, height } = this.scale;
+      // Consistent background across all scenes: the city stays put and
+      // a faint contour layer scrolls slower than the level (parallax)
+      this.bg = this.add.image(0, 0, 'city_bg').setOrigin(0).setScrollFactor(0);
+      this.bg.setDisplaySize(width, height);
+      this.parallax = this.add.tileSprite(0, 0, width, height, 'security_bg')
+        .setOrigin(0)
+        .setScrollFactor(0)
+        .setAlpha(0.35);
+      this.parallax.setTileScale(height / this.parallax.frame.height);
+      this.levelError = levelErrors[this.levelKey] || null;
+      if (this.levelError) {
+        this.add.text(width / 2, height / 2, t('level.failed', { key: this.levelKey, message: this.levelError }), {
+          fontSize: '22px',
+          fontFamily: 'Arial',
+          color: '#ffffff',
+          backgroundColor: 'rgba(0,0,0,0.7)',
+          padding: { left: 12, right: 12, top: 8, bottom: 8 },
+          align: 'center',
+          wordWrap: { width: width * 0.8 },
+        }).setOrigin(0.5).setScrollFactor(0);
+        this.createNextButton().visible = true;
+        sceneStarted(this);
+        return false;
+      }
+      // Build the ground, platforms and crates from the level file
+      this.level = buildLevel(this, this.levelKey);
+      const { worldWidth, worldHeight } = this.level;
+      this.physics.world.setBounds(0, 0, worldWidth, worldHeight);
+      // The robot is scaled with the level so it keeps its size relative
+      // to the tiles. It starts at the level's spawn object if it has one.
+      const spawn = this.level.findObject('spawn');
+      const spawnX = spawn ? spawn.x : 50;
+      const spawnY = spawn ? spawn.bottom : this.level.surfaceAt(spawnX);
+      this.controls = new InputLayer(this);
+      this.controls.addTouchButtons(['left', 'right', 'jump']);
+      this.playerController = new PlayerController(this, this.controls, spawnX, spawnY, this.level.scale);
+      this.player = this.playerController.sprite;
+      this.physics.add.collider(this.player, this.level.platforms);
+      const hazardConfig = (getManifest(this).hazards || {})[this.scene.key];
+      this.hazards = hazardConfig || this.level.hazards.getLength()
+        ? new Hazards(this, this.playerController, hazardConfig)
+        : null;
+      // Follow the robot, letting it move about the middle of the screen
+      // before the view scrolls
+      const camera = this.cameras.main;
+      camera.setBounds(0, 0, worldWidth, worldHeight);
+      camera.startFollow(this.player, true, 0.1, 0.1);
+      camera.setDeadzone(width * 0.2, height * 0.3);
+      this.minimap = new Minimap(this);
+      // When play-testing from the level editor, a button leads back to it
+      if (editMode) {
+        this.add.text(width / 2, height - 40, t('editor.back'), {
+          fontSize: '22px',
+          fontFamily: 'Arial',
+          color: '#ffffff',
+          backgroundColor: '#2e7d32',
+          padding: { left: 10, right: 10, top: 5, bottom: 5 },
+        }).setOrigin(0.5).setScrollFactor(0).setDepth(10).setInteractive({ useHandCursor: true })
+          .on('pointerdown', () => this.scene.start('EditorScene', { levelKey: this.levelKey }));
+      }
+      return true;
+    }
+    // Items shown on the minimap as { x, y, done } in world coordinates;
+    // scenes with things to visit override this
+    minimapMarkers() {
+      return [];
+    }
+    // Adds the bottom-right button that moves on to the next scene. It is
+    // hidden until the scene shows it.
+    createNextButton(label = t('next')) {
+      const { width, height } = this.scale;
+      const button = this.add.text(width - 110, height - 40, label, {
+        fontSize: '22px',
+        fontFamily: 'Arial',
+        color: '#ffffff',
+        backgroundColor: '#247ba0',
+        padding: { left: 10, right: 10, top: 5, bottom: 5 },
+      }).setOrigin(0.5).setScrollFactor(0).setDepth(10).setInteractive({ useHandCursor: true });
+      button.visible = false;
+      button.on('pointerdown', () => {
+        startNextScene(this);
       });
+      return button;
+    }
+    update(time) {
+      if (this.levelError) return;
+      // The robot stands still and cannot attack while an overlay has
+      // paused the physics
+      if (!this.physics.world.isPaused) {
+        this.playerController.update(time);
+        if (this.hazards) this.hazards.update();
+      }
+      this.parallax.tilePositionX = this.cameras.main.scrollX * PARALLAX_FACTOR / this.parallax.tileScaleX;
+      this.minimap.update();
     }
   }
 
@@ -214,134 +3466,47 @@ const MARKER_SCALE = 1.25;  // visible benefit markers / labels
    * advantages of Rust and napi‑rs. Upon collection, informative overlays
    * pop up explaining each benefit in plain language.
    */
-  class BenefitScene extends Phaser.Scene {
+  class BenefitScene extends GameplayScene {
     constructor() {
-      super('BenefitScene');
+      // Thin platforms in this level provide access to higher benefits
+      // and crates act as small steps
+      super('BenefitScene', 'level1');
     }
     create() {
-      const { width, height } = this.scale;
-      // Consistent background across all scenes
-      this.bg = this.add.image(0, 0, 'city_bg');
-      this.bg.setOrigin(0);
-      this.bg.setDisplaySize(width, height);
-      // Resize handler for responsive backgrounds
-      this.scale.on('resize', (gameSize) => {
-        const { width: w, height: h } = gameSize;
-        this.bg.setDisplaySize(w, h);
-      });
+      if (!super.create()) return;
+      const { width } = this.scale;
       // Instructions text
-      this.add.text(width / 2, 20, 'Move with arrow keys and collect all benefits', {
+      this.add.text(width / 2, 20, t('benefits.instructions'), {
         fontSize: '18px',
         fontFamily: 'Arial',
         color: '#ffffff',
         backgroundColor: 'rgba(0,0,0,0.5)',
         padding: { left: 10, right: 10, top: 5, bottom: 5 }
-      }).setOrigin(0.5);
-      // Build the ground using the provided platform tileset. We stitch
-// together a left, middle and right top tile to span the entire
-// width. Each tile is a static physics body so the player can
-// stand on it. Using the atlas allows us to easily swap frames.
-// (Now scaled up and with refreshBody() so Arcade uses the new size.)
-const platforms = this.physics.add.staticGroup();
-const tilePixel = 32;                 // authored tile size in atlas
-const groundY   = height - 10;        // baseline for ground
-const tilesWide = Math.ceil(width / (tilePixel * TILE_SCALE)) + 1;
-
-for (let i = 0; i < tilesWide; i++) {
-  let frame = 'ground_top';
-  if (i === 0) frame = 'ground_top_left';
-  else if (i === tilesWide - 1) frame = 'ground_top_right';
-
-  const tile = this.physics.add.staticImage(
-    i * tilePixel * TILE_SCALE,
-    groundY,
-    'platform',
-    frame
-  )
-    .setScale(TILE_SCALE)
-    .setOrigin(0, 1);
-
-  tile.refreshBody();          // IMPORTANT after scaling static bodies
-  platforms.add(tile);
-}
-
-// Add a few floating platforms and crates to vary gameplay. These
-// platforms provide access to higher benefits and encourage jumping.
-// Coordinates adapt to screen size and scale.
-const floats = this.physics.add.staticGroup();
-
-// Thin platforms (you can land on them)
-const floatY = Math.max(120, height - Math.round(220 * TILE_SCALE));
-[width * 0.30, width * 0.60].forEach((x) => {
-  const platform = this.physics.add.staticImage(x, floatY, 'platform', 'platform_thin')
-    .setScale(TILE_SCALE)
-    .setOrigin(0.5, 1);
-  platform.refreshBody();
-  floats.add(platform);
-});
-
-// Crates act as small steps
-[width * 0.12, width * 0.43, width * 0.82].forEach((x) => {
-  // Position so top aligns nicely with the ground after scaling
-  const crate = this.physics.add.staticImage(
-    x,
-    groundY - (tilePixel * TILE_SCALE - 10),
-    'platform',
-    'crate'
-  )
-    .setScale(TILE_SCALE)
-    .setOrigin(0.5, 1);
-  crate.refreshBody();
-  floats.add(crate);
-});
-
-      // Player setup: use the loaded robot sprite. The sprite is
-      // initialised with the idle frame and has an arcade physics body
-      // attached automatically. We also set gravity so it can jump
-      // and enable world bounds so it stays in the level.
-      this.player = this.physics.add.sprite(50, height - 100, 'robot', 'idle_0');
-      this.player.setCollideWorldBounds(true);
-      this.player.setGravityY(300);
-      this.player.anims.play('robot-idle');
-      // Cursor input
-      this.cursors = this.input.keyboard.createCursorKeys();
+      }).setOrigin(0.5).setScrollFactor(0);
       // Group for benefit items
       this.benefits = this.physics.add.group();
-      // Positions for each benefit item. Items are placed at varying
-      // heights to align with floating platforms and crates. Lower
-      // positions are reachable from the ground while higher ones require
-      // jumping onto a floating platform.
-      const positions = [
-        { x: 150, y: height - 120, key: 'performance' },
-        { x: 350, y: height - 250, key: 'memory' },
-        { x: 550, y: height - 120, key: 'concurrency' },
-        { x: 750, y: height - 250, key: 'lowlevel' },
-        { x: 950, y: height - 120, key: 'integration' },
-      ];
-      positions.forEach((pos) => {
-        // Create an invisible physics body; we'll draw shapes separately
-        const item = this.benefits.create(pos.x, pos.y, null).setSize(24, 24).setOrigin(0.5);
-        // Attach metadata
-        item.benefitKey = pos.key;
-        // Draw each item with distinct colours
-        const g = this.add.graphics();
-        let color;
-        switch (pos.key) {
-          case 'performance':
-            color = 0xff595e; break;
-          case 'memory':
-            color = 0x8ac926; break;
-          case 'concurrency':
-            color = 0x1982c4; break;
-          case 'lowlevel':
-            color = 0xffca3a; break;
-          case 'integration':
-            color = 0x6a4c93; break;
+      // Benefit items come from the presentation manifest. Each declares a
+      // tile position in the level, chosen to align with floating platforms
+      // and crates: lower positions are reachable from the ground while
+      // higher ones require jumping onto a floating platform.
+      this.benefitDefs = getManifest(this).benefits;
+      const { collected } = progress.get('BenefitScene');
+      this.benefitDefs.forEach((benefit) => {
+        const pos = this.benefitPosition(benefit);
+        // Create an invisible physics body; we'll draw shapes separately.
+        // Benefits already collected in a resumed session get no body.
+        if (!collected[benefit.key]) {
+          const item = this.benefits.create(pos.x, pos.y, null).setSize(24, 24).setOrigin(0.5);
+          // Attach metadata
+          item.benefitKey = benefit.key;
         }
-        g.fillStyle(color, 1);
+        // Draw each item in its manifest colour
+        const g = this.add.graphics();
+        g.fillStyle(Phaser.Display.Color.HexStringToColor(benefit.color).color, 1);
         g.fillCircle(pos.x, pos.y, 12);
         // Label text
-        this.add.text(pos.x, pos.y - 20, pos.key.charAt(0).toUpperCase() + pos.key.slice(1), {
+        const label = benefit.label || benefit.key.charAt(0).toUpperCase() + benefit.key.slice(1);
+        this.add.text(pos.x, pos.y - 20, label, {
           fontSize: '14px',
           fontFamily: 'Arial',
           color: '#ffffff',
@@ -349,257 +3514,473 @@ const floatY = Math.max(120, height - Math.round(220 * TILE_SCALE));
         }).setOrigin(0.5);
       });
       // Physics collisions
-      this.physics.add.collider(this.player, platforms);
-      this.physics.add.collider(this.player, floats);
       this.physics.add.overlap(this.player, this.benefits, this.collectBenefit, null, this);
-      // Next button (hidden until all benefits collected)
-      this.nextButton = this.add.text(width - 110, height - 40, 'Next ▶', {
-        fontSize: '22px',
-        fontFamily: 'Arial',
-        color: '#ffffff',
-        backgroundColor: '#247ba0',
-        padding: { left: 10, right: 10, top: 5, bottom: 5 },
-      }).setOrigin(0.5).setInteractive({ useHandCursor: true });
-      this.nextButton.visible = false;
-      this.nextButton.on('pointerdown', () => {
-        this.scene.start('NapiScene');
-      });
-    }
-    update() {
-      const speed = 200;
-      // Horizontal movement & animations
-      if (this.cursors.left.isDown) {
-        this.player.setVelocityX(-speed);
-        this.player.setFlipX(true);
-        if (this.player.body.blocked.down) {
-          this.player.anims.play('robot-walk', true);
-        }
-      } else if (this.cursors.right.isDown) {
-        this.player.setVelocityX(speed);
-        this.player.setFlipX(false);
-        if (this.player.body.blocked.down) {
-          this.player.anims.play('robot-walk', true);
-        }
-      } else {
-        this.player.setVelocityX(0);
-        if (this.player.body.blocked.down) {
-          this.player.anims.play('robot-idle', true);
-        }
-      }
-      // Jump
-      if (this.cursors.up.isDown && this.player.body.blocked.down) {
-        this.player.setVelocityY(-320);
-        this.player.anims.play('robot-jump', true);
-      }
-      // Falling animation
-      if (!this.player.body.blocked.down && this.player.body.velocity.y > 0) {
-        this.player.anims.play('robot-fall', true);
-      }
+      // Next button (hidden until all benefits collected, so already
+      // visible when resuming with every benefit collected)
+      this.nextButton = this.createNextButton();
+      this.nextButton.visible = this.allCollected();
+      sceneStarted(this);
     }
     collectBenefit(player, item) {
-      if (gameState.benefitsCollected[item.benefitKey]) return;
-      gameState.benefitsCollected[item.benefitKey] = true;
+      if (progress.get('BenefitScene').collected[item.benefitKey]) return;
       item.destroy();
+      audio.play('collect');
+      this.showBenefit(item.benefitKey);
+    }
+    showBenefit(key) {
+      const { collected } = progress.get('BenefitScene');
+      progress.set('BenefitScene', { collected: { ...collected, [key]: true } });
       // Display overlay with explanation of the benefit
-      let title, body;
-      switch (item.benefitKey) {
-        case 'performance':
-          title = 'Performance';
-          body = 'Rust code runs close to the metal and often outperforms JavaScript for CPU‑heavy tasks. It gives you explicit control over memory and avoids costly garbage collection, providing faster operations for things like cryptography or data processing.';
-          break;
-        case 'memory':
-          title = 'Memory Safety';
-          body = 'Rust prevents common pitfalls such as null pointer dereferences and buffer overflows at compile time. Its ownership system ensures that memory is freed predictably without a garbage collector, reducing leaks and fragmentation.';
-          break;
-        case 'concurrency':
-          title = 'Concurrency';
-          body = 'The ownership and borrowing model enables fearless concurrency. Rust’s type system prevents data races, allowing you to run work in multiple threads safely and efficiently.';
-          break;
-        case 'lowlevel':
-          title = 'Low‑level Control';
-          body = 'Rust offers fine‑grained control over system resources while remaining safer than C/C++. You can write performance‑critical code (e.g. hashing, encryption) without relying on native addons written in unsafe languages.';
-          break;
-        case 'integration':
-          title = 'Seamless Integration';
-          body = 'napi‑rs makes it trivial to expose Rust functions to Node.js. It generates bindings and TypeScript definitions automatically so that your Rust code feels like a first‑class citizen in a TypeScript project.';
-          break;
-      }
-      createOverlay(this, { title, body }).then(() => {
+      const { title, body, narration } = this.benefitDefs.find((b) => b.key === key);
+      createOverlay(this, { title, body, narration }).then(() => {
         // When overlay closes, check if all benefits are collected
-        const allCollected = ['performance','memory','concurrency','lowlevel','integration'].every(k => gameState.benefitsCollected[k]);
-        if (allCollected) {
+        if (this.allCollected()) {
           this.nextButton.visible = true;
         }
       });
     }
+    allCollected() {
+      const { collected } = progress.get('BenefitScene');
+      return this.benefitDefs.every((b) => collected[b.key]);
+    }
+    // World position of a benefit: its object in the level if placed
+    // there, else the tile named in the manifest
+    benefitPosition(benefit) {
+      return this.level.findObject('benefit', benefit.key) || this.level.toWorld(benefit.col, benefit.row);
+    }
+    minimapMarkers() {
+      const { collected } = progress.get('BenefitScene');
+      return this.benefitDefs.map((b) => {
+        const { x, y } = this.benefitPosition(b);
+        return { x, y, done: Boolean(collected[b.key]) };
+      });
+    }
+    presenterItems() {
+      const { collected } = progress.get('BenefitScene');
+      const benefits = this.benefitDefs.map((b) => ({
+        id: b.key,
+        title: b.title,
+        notes: b.notes || '',
+        done: Boolean(collected[b.key]),
+      }));
+      return this.hazards ? [...benefits, ...this.hazards.presenterItems()] : benefits;
+    }
+    openPresenterItem(id) {
+      if (this.hazards && this.hazards.openPresenterItem(id)) return;
+      // Remove the item from the level as if the robot had collected it
+      const item = this.benefits.getChildren().find((child) => child.benefitKey === id);
+      if (item) item.destroy();
+      this.showBenefit(id);
+    }
+  }
+
+  // Short description of a napi‑rs target's platform, e.g. "linux · x64 · musl"
+  function describePlatform(target) {
+    return [target.os, target.cpu, target.libc].filter(Boolean).join(' · ');
+  }
+
+  // How npm resolves gic-sec on the machine matching `target`: napi‑rs
+  // publishes one package per platform, each listed in the main
+  // package's optionalDependencies and restricted with os/cpu/libc, so
+  // npm skips all but the matching one and the generated index.js loads
+  // its .node file.
+  function resolutionText(bridge, target) {
+    const last = bridge.targets.length - 1;
+    const entries = bridge.targets.map((other, i) =>
+      `  "${bridge.package}-${other.platform}": "${bridge.version}"${i < last ? ',' : ''}`);
+    const width = Math.max(...entries.map((entry) => entry.length));
+    const lines = [
+      t('bridge.install', { package: bridge.package, machine: target.machine }),
+      '"optionalDependencies": {',
+    ];
+    bridge.targets.forEach((other, i) => {
+      const field = ['os', 'cpu', 'libc'].find((key) => other[key] !== target[key]);
+      const status = field
+        ? t('bridge.skipped', { reason: `${field}: ${other[field] || '—'}` })
+        : t('bridge.installed');
+      lines.push(`${entries[i].padEnd(width)}  ${status}`);
+    });
+    lines.push('}');
+    lines.push(t('bridge.loads', { file: `${bridge.package}.${target.platform}.node` }));
+    return lines.join('\n');
   }
 
   /**
    * NapiScene
-   * In this scene players build a bridge between Node and Rust by pressing
-   * the spacebar repeatedly. Once complete, information about napi‑rs
-   * appears and the next scene becomes available.
+   * A mini-game about how napi‑rs ships native code. The Rust crate is
+   * cross-compiled to one target triple at a time and the player routes
+   * each build to the machine that would install it. Every correct route
+   * adds a span to the bridge and shows how npm resolves the per-platform
+   * packages in `optionalDependencies` on that machine. Once every target
+   * is routed, information about napi‑rs appears and the next scene
+   * becomes available.
    */
   class NapiScene extends Phaser.Scene {
     constructor() {
       super('NapiScene');
-      this.buildProgress = 0;
     }
     create() {
       const { width, height } = this.scale;
+      this.content = getManifest(this).bridge;
+      this.targets = this.content.targets;
       // Consistent background
       this.bg = this.add.image(0, 0, 'city_bg');
       this.bg.setOrigin(0);
       this.bg.setDisplaySize(width, height);
-      this.scale.on('resize', (gameSize) => {
-        const { width: w, height: h } = gameSize;
-        this.bg.setDisplaySize(w, h);
-      });
       // Title
-      this.add.text(width / 2, 40, 'Building the Bridge', {
+      this.add.text(width / 2, 40, this.content.heading, {
         fontSize: '32px',
         fontFamily: 'Arial',
         color: '#ffffff'
       }).setOrigin(0.5);
-      // Node side
-      const nodeBox = this.add.rectangle(width * 0.25, height * 0.5, 200, 100, 0x3cba54);
-      this.add.text(nodeBox.x, nodeBox.y, 'Node.js', {
-        fontSize: '24px',
+      // Instructions
+      this.add.text(width / 2, 80, this.content.instructions, {
+        fontSize: '18px',
         fontFamily: 'Arial',
-        color: '#0b1e2d'
+        color: '#ffffff',
+        align: 'center',
+        wordWrap: { width: width * 0.9 }
       }).setOrigin(0.5);
-      // Rust side
-      const rustBox = this.add.rectangle(width * 0.75, height * 0.5, 200, 100, 0xd75848);
-      this.add.text(rustBox.x, rustBox.y, 'Rust', {
+      // Rust side: the crate every build comes from
+      const rustBox = this.add.rectangle(width / 2, 140, 220, 50, 0xd75848);
+      this.add.text(rustBox.x, rustBox.y, this.content.right, {
         fontSize: '24px',
         fontFamily: 'Arial',
         color: '#0b1e2d'
       }).setOrigin(0.5);
-      // Progress bar background
-      this.progressBg = this.add.rectangle(width / 2, height * 0.65, 400, 20, 0x333f4f).setOrigin(0.5);
-      // Progress bar foreground
-      this.progressBar = this.add.rectangle(width / 2 - 200, height * 0.65, 0, 20, 0x4fd5ff).setOrigin(0, 0.5);
-      // Instructions
-      this.add.text(width / 2, height * 0.75, 'Press SPACE repeatedly to build the bridge', {
-        fontSize: '18px',
+      // The build currently waiting to be routed
+      this.buildHome = { x: width / 2, y: 195 };
+      this.buildCard = this.add.text(this.buildHome.x, this.buildHome.y, '', {
+        fontSize: '16px',
+        fontFamily: 'Courier New',
+        color: '#8bf0ff',
+        backgroundColor: '#0d141c',
+        padding: { left: 8, right: 8, top: 4, bottom: 4 }
+      }).setOrigin(0.5).setDepth(1);
+      // Node side: one machine per target, in a row
+      this.add.text(width / 2, 240, this.content.left, {
+        fontSize: '20px',
         fontFamily: 'Arial',
-        color: '#ffffff'
+        color: '#aeeaff'
       }).setOrigin(0.5);
-      // Space key input
-      this.spaceKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SPACE);
-      // Next button (hidden until progress full)
-      this.nextButton = this.add.text(width - 110, height - 40, 'Next ▶', {
+      const spacing = width / (this.targets.length + 1);
+      const boxWidth = Math.min(200, spacing * 0.9);
+      this.machines = this.targets.map((target, i) => {
+        const x = spacing * (i + 1);
+        const box = this.add.rectangle(x, 300, boxWidth, 70, 0x3cba54)
+          .setInteractive({ useHandCursor: true });
+        const label = this.add.text(x, 300, target.machine, {
+          fontSize: '15px',
+          fontFamily: 'Arial',
+          color: '#0b1e2d',
+          align: 'center',
+          wordWrap: { width: boxWidth - 10 }
+        }).setOrigin(0.5);
+        box.on('pointerdown', () => {
+          this.select(i);
+          this.send();
+        });
+        return { box, label };
+      });
+      // Bridge: grows by one span per routed target. Bridge progress lives
+      // in the store so a replay starts empty and returning to this scene
+      // shows the bridge as it was left.
+      this.progressBg = this.add.rectangle(width / 2, 365, 400, 20, 0x333f4f).setOrigin(0.5);
+      this.progressBar = this.add.rectangle(width / 2 - 200, 365, 0, 20, 0x4fd5ff).setOrigin(0, 0.5);
+      // Feedback on the last route and how npm resolved it
+      this.feedback = this.add.text(width / 2, 395, '', {
+        fontSize: '18px',
+        fontFamily: 'Arial',
+        color: '#ffffff',
+        align: 'center',
+        wordWrap: { width: width * 0.9 }
+      }).setOrigin(0.5, 0);
+      this.resolution = this.add.text(width / 2, 430, '', {
+        fontSize: '14px',
+        fontFamily: 'Courier New',
+        color: '#d0ffce',
+        backgroundColor: 'rgba(0,0,0,0.6)',
+        padding: { left: 10, right: 10, top: 6, bottom: 6 }
+      }).setOrigin(0.5, 0);
+      this.resolution.visible = false;
+      // Routing uses the left/right and action controls (arrows and SPACE
+      // by default) as well as clicks on the machines
+      this.controls = new InputLayer(this);
+      this.controls.addTouchButtons(['left', 'right', 'action']);
+      // Next button (hidden until the bridge is complete)
+      this.nextButton = this.add.text(width - 110, height - 40, t('next'), {
         fontSize: '22px',
         fontFamily: 'Arial',
         color: '#ffffff',
         backgroundColor: '#247ba0',
         padding: { left: 10, right: 10, top: 5, bottom: 5 },
       }).setOrigin(0.5).setInteractive({ useHandCursor: true });
-      this.nextButton.visible = false;
+      this.nextButton.visible = progress.get('NapiScene').complete;
       this.nextButton.on('pointerdown', () => {
-        this.scene.start('BuildScene');
+        startNextScene(this);
       });
+      // Builds come in a random order; a tween is in flight while busy
+      this.queue = Phaser.Utils.Array.Shuffle([...this.targets]);
+      this.busy = false;
+      this.select(0);
+      this.refresh();
+      sceneStarted(this);
     }
     update() {
-      if (Phaser.Input.Keyboard.JustDown(this.spaceKey)) {
-        // Increase progress; clamp to 1
-        this.buildProgress = Math.min(1, this.buildProgress + 0.05);
-        this.progressBar.width = 400 * this.buildProgress;
-        // When full, show overlay and next button
-        if (this.buildProgress >= 1 && !this.overlayShown) {
-          this.overlayShown = true;
-          createOverlay(this, {
-            title: 'napi‑rs',
-            body: 'napi‑rs bridges Rust with Node.js. It generates native bindings and TypeScript definitions automatically so your Rust functions feel like any other JS API. The CLI takes care of cross‑platform compilation and packaging, making distribution easy.'
-          }).then(() => {
-            this.nextButton.visible = true;
-          });
-        }
+      if (this.busy || progress.get('NapiScene').complete) return;
+      const count = this.machines.length;
+      if (this.controls.justDown('left')) this.select((this.selected + count - 1) % count);
+      if (this.controls.justDown('right')) this.select((this.selected + 1) % count);
+      if (this.controls.justDown('action')) this.send();
+    }
+    // Highlights the machine the next build will be sent to
+    select(index) {
+      this.selected = index;
+      this.machines.forEach(({ box }, i) => {
+        box.setStrokeStyle(i === index ? 4 : 0, 0xffd54f);
+      });
+    }
+    // The next build to route, or undefined once all are routed
+    currentBuild() {
+      const { routed } = progress.get('NapiScene');
+      return this.queue.find((target) => !routed[target.triple]);
+    }
+    // Updates the bridge, the routed machines and the build card from the
+    // store
+    refresh() {
+      const { routed } = progress.get('NapiScene');
+      const done = this.targets.filter((target) => routed[target.triple]).length;
+      this.progressBar.width = 400 * (done / this.targets.length);
+      this.machines.forEach(({ box, label }, i) => {
+        const isRouted = Boolean(routed[this.targets[i].triple]);
+        box.setFillStyle(isRouted ? 0x2e7d32 : 0x3cba54);
+        label.setText(`${isRouted ? '✓ ' : ''}${this.targets[i].machine}`);
+      });
+      const build = this.currentBuild();
+      this.buildCard.setPosition(this.buildHome.x, this.buildHome.y);
+      this.buildCard.visible = Boolean(build);
+      if (build) this.buildCard.setText(`napi build --release --target ${build.triple}`);
+    }
+    // Sends the current build to the selected machine
+    send() {
+      const build = this.currentBuild();
+      if (this.busy || !build) return;
+      const machine = this.targets[this.selected];
+      const { box } = this.machines[this.selected];
+      this.busy = true;
+      this.tweens.add({
+        targets: this.buildCard,
+        x: box.x,
+        y: box.y,
+        duration: 300,
+        ease: 'Sine.easeIn',
+        onComplete: () => {
+          this.busy = false;
+          if (machine === build) {
+            this.route(build);
+          } else {
+            audio.play('wrong');
+            this.feedback.setColor('#ff8a80');
+            this.feedback.setText(t('bridge.wrong', {
+              triple: build.triple,
+              built: describePlatform(build),
+              needed: describePlatform(machine),
+            }));
+            this.refresh();
+          }
+        },
+      });
+    }
+    // Marks a target as routed and shows how npm resolves the package on
+    // its machine
+    route(target) {
+      const { routed } = progress.get('NapiScene');
+      progress.set('NapiScene', { routed: { ...routed, [target.triple]: true } });
+      audio.play('bridge');
+      this.feedback.setColor('#a5d6a7');
+      this.feedback.setText(t('bridge.right', { platform: target.platform, machine: target.machine }));
+      this.resolution.setText(resolutionText(this.content, target));
+      this.resolution.visible = true;
+      this.refresh();
+      if (!this.currentBuild()) this.completeBridge();
+    }
+    completeBridge() {
+      const routed = {};
+      this.targets.forEach((target) => {
+        routed[target.triple] = true;
+      });
+      progress.set('NapiScene', { routed, complete: true });
+      this.refresh();
+      createOverlay(this, {
+        title: this.content.title,
+        body: this.content.body,
+        narration: this.content.narration,
+      }).then(() => {
+        this.nextButton.visible = true;
+      });
+    }
+    presenterItems() {
+      const { routed, complete } = progress.get('NapiScene');
+      return [
+        ...this.targets.map((target) => ({
+          id: target.triple,
+          title: `${target.triple} → ${target.machine}`,
+          notes: resolutionText(this.content, target),
+          done: Boolean(routed[target.triple]),
+        })),
+        {
+          id: 'bridge',
+          title: this.content.title,
+          notes: this.content.notes || '',
+          done: complete,
+        },
+      ];
+    }
+    openPresenterItem(id) {
+      const target = this.targets.find((candidate) => candidate.triple === id);
+      if (target) this.route(target);
+      else this.completeBridge();
+    }
+  }
+
+  // Simulated terminal for BuildScene steps with a `terminal` section in
+  // the manifest. The audience types the step's command at a fake prompt.
+  // An accepted command (one of `accept`, compared with runs of spaces
+  // collapsed) calls onSuccess and plays the scripted `output` line by
+  // line, `delay` ms apart. Anything else is checked against the step's
+  // and the shared `terminal.mistakes` patterns for a targeted hint, and
+  // after two misses the expected command is shown. The patterns are
+  // compiled once when the terminal opens; one that is not a valid regular
+  // expression is left out and reported in the scrollback. Steps already
+  // done open with their command and output in the scrollback. Returns the
+  // overlay's promise.
+  function openTerminal(scene, step, { done, onSuccess }) {
+    const shared = getManifest(scene).terminal || {};
+    const terminal = step.terminal;
+    const prompt = shared.prompt || '$';
+    const badPatterns = [];
+    const mistakes = [...(terminal.mistakes || []), ...(shared.mistakes || [])].flatMap((m) => {
+      try {
+        return [{ pattern: new RegExp(m.match), hint: m.hint }];
+      } catch (err) {
+        badPatterns.push(t('terminal.badPattern', { pattern: m.match, error: err.message }));
+        return [];
       }
+    });
+    const normalise = (text) => text.trim().replace(/\s+/g, ' ');
+    const container = document.createElement('div');
+    container.className = 'terminal';
+    const screen = document.createElement('pre');
+    screen.className = 'terminal-screen';
+    screen.setAttribute('aria-live', 'polite');
+    const form = document.createElement('form');
+    form.className = 'terminal-prompt';
+    const label = document.createElement('label');
+    label.textContent = prompt;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.autocomplete = 'off';
+    input.spellcheck = false;
+    input.setAttribute('aria-label', t('terminal.label'));
+    label.appendChild(input);
+    form.appendChild(label);
+    container.append(screen, form);
+    const print = (text, className) => {
+      const line = document.createElement('span');
+      if (className) line.className = className;
+      line.textContent = `${text}\n`;
+      screen.appendChild(line);
+      screen.scrollTop = screen.scrollHeight;
+    };
+    const finish = () => {
+      input.disabled = true;
+      print(t('terminal.done'), 'terminal-success');
+    };
+    badPatterns.forEach((message) => print(message, 'terminal-error'));
+    if (done) {
+      print(`${prompt} ${terminal.accept[0]}`);
+      terminal.output.forEach((line) => print(line));
+      finish();
     }
+    let misses = 0;
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const command = normalise(input.value);
+      if (!command || input.disabled) return;
+      input.value = '';
+      print(`${prompt} ${command}`);
+      if (terminal.accept.some((accepted) => normalise(accepted) === command)) {
+        input.disabled = true;
+        onSuccess();
+        const delay = terminal.delay || 80;
+        terminal.output.forEach((line, i) => {
+          scene.time.delayedCall(delay * (i + 1), () => print(line));
+        });
+        scene.time.delayedCall(delay * (terminal.output.length + 1), finish);
+        return;
+      }
+      misses += 1;
+      const mistake = mistakes.find((m) => m.pattern.test(command));
+      print(mistake ? mistake.hint : t('terminal.notThis'), 'terminal-error');
+      if (misses >= 2) print(t('terminal.hint', { command: terminal.accept[0] }), 'terminal-hint');
+    });
+    return createOverlay(scene, { title: step.title, body: step.body, narration: step.narration, element: container });
   }
 
   /**
    * BuildScene
    * Walk along a path dotted with signposts representing the steps to build
    * and install the gic_sec module. At each signpost the game pauses
-   * and displays descriptive instructions. When all steps are complete
-   * the player can proceed to the examples scene.
+   * and displays descriptive instructions, with a simulated terminal where
+   * the step has a command to type. When all steps are complete the player
+   * can proceed to the examples scene.
    */
-  class BuildScene extends Phaser.Scene {
+  class BuildScene extends GameplayScene {
     constructor() {
-      super('BuildScene');
-      this.stepIndex = 0;
+      // A flat level: a solid foundation across the entire width so the
+      // player can walk along the signposts
+      super('BuildScene', 'pathLevel');
+    }
+    init(data) {
+      // Deep links such as #BuildScene/step=3 start at that (1-based)
+      // signpost, counting the ones before it as done. Phaser keeps the
+      // last start data when a scene is started without any, so a link
+      // only ever moves progress forward; steps already done stay done.
+      if (data.step) {
+        const target = Phaser.Math.Clamp(data.step - 1, 0, getManifest(this).steps.length - 1);
+        const { stepIndex } = progress.get('BuildScene');
+        if (target > stepIndex) progress.set('BuildScene', { stepIndex: target });
+      }
+    }
+    routeParams() {
+      const { stepIndex } = progress.get('BuildScene');
+      return stepIndex > 0 ? { step: stepIndex + 1 } : {};
     }
     create() {
-      const { width, height } = this.scale;
-      // Consistent background using the city image
-      this.bg = this.add.image(0, 0, 'city_bg');
-      this.bg.setOrigin(0);
-      this.bg.setDisplaySize(width, height);
-      this.scale.on('resize', (gameSize) => {
-        const { width: w, height: h } = gameSize;
-        this.bg.setDisplaySize(w, h);
-      });
-      // Steps text definitions based on README instructions
-      this.steps = [
-        {
-          title: 'Initialise a package',
-          body: 'Create or navigate to your Node.js project and initialise it with npm:\n\n$ npm init -y',
-        },
-        {
-          title: 'Install napi‑rs CLI',
-          body: 'Install the CLI tool globally. It scaffolds Rust addons and compiles them across platforms:\n\n$ npm install -g @napi-rs/cli',
-        },
-        {
-          title: 'Add the Rust crate',
-          body: 'Copy the gic_sec crate into your project. It contains the Rust implementation and Cargo.toml.',
-        },
-        {
-          title: 'Build the addon',
-          body: 'Run the build command from your project root. It compiles the Rust code into a native .node file:\n\n$ napi build --release',
-        },
-        {
-          title: 'Link in package.json',
-          body: 'Add a dependency in your project package.json pointing to the local crate so it can be imported in TypeScript:\n\n"gic-sec": "file:./gic_sec"',
-        },
-        {
-          title: 'Install dependencies',
-          body: 'Run npm install to install the gic_sec package and any other dependencies.',
-        },
-      ];
-      // Build the ground using the platform tileset. This creates a solid
-      // foundation across the entire width so the player can walk along
-      // the signposts. Each tile is added as a static image with
-      // collision enabled.
-      const ground = this.physics.add.staticGroup();
-      const tileSize = 32;
-      const tilesWide = Math.ceil(width / tileSize) + 1;
-      for (let i = 0; i < tilesWide; i++) {
-        let frame = 'ground_top';
-        if (i === 0) frame = 'ground_top_left';
-        else if (i === tilesWide - 1) frame = 'ground_top_right';
-        const tile = ground.create(i * tileSize, height, 'platform', frame);
-        tile.setOrigin(0, 1);
-      }
-      // Player: robot sprite with physics body
-      this.player = this.physics.add.sprite(50, height - 100, 'robot', 'idle_0');
-      this.player.setCollideWorldBounds(true);
-      this.player.setGravityY(300);
-      this.player.anims.play('robot-idle');
-      // Controls
-      this.cursors = this.input.keyboard.createCursorKeys();
+      if (!super.create()) return;
+      const level = this.level;
+      // Step definitions come from the presentation manifest
+      this.steps = getManifest(this).steps;
+      // Step overlays open or queued (the presenter view can open one while
+      // another is up), and a step closed unfinished that only reopens once
+      // the robot has walked away from its signpost
+      this.stepsOpen = 0;
+      this.dismissedStep = null;
       // Signposts
       this.signposts = this.physics.add.staticGroup();
-      const spacing = width / (this.steps.length + 1);
+      // Signposts stand where the level's objects layer puts them, else
+      // spread along the whole level
+      const spacing = level.worldWidth / (this.steps.length + 1);
       this.steps.forEach((step, idx) => {
-        const x = spacing * (idx + 1);
-        const post = this.signposts.create(x, height - 70, null).setSize(20, 60);
+        const placed = level.findObject('signpost', idx);
+        const x = placed ? placed.x : spacing * (idx + 1);
+        const groundY = placed ? placed.bottom : level.surfaceAt(x);
+        const post = this.signposts.create(x, groundY - 38, null).setSize(20, 60);
         // Draw sign graphics
         const postGraphics = this.add.graphics();
         postGraphics.fillStyle(0x247ba0, 1);
-        postGraphics.fillRect(x - 20, height - 130, 40, 40);
-        this.add.text(x, height - 110, idx + 1, {
+        postGraphics.fillRect(x - 20, groundY - 98, 40, 40);
+        this.add.text(x, groundY - 78, idx + 1, {
           fontSize: '18px',
           fontFamily: 'Arial',
           color: '#ffffff'
@@ -607,60 +3988,70 @@ const floatY = Math.max(120, height - Math.round(220 * TILE_SCALE));
         post.stepIndex = idx;
       });
       // Collisions
-      this.physics.add.collider(this.player, ground);
       this.physics.add.overlap(this.player, this.signposts, this.reachSign, null, this);
-      // Next button (hidden until all steps done)
-      this.nextButton = this.add.text(width - 110, height - 40, 'Next ▶', {
-        fontSize: '22px',
-        fontFamily: 'Arial',
-        color: '#ffffff',
-        backgroundColor: '#247ba0',
-        padding: { left: 10, right: 10, top: 5, bottom: 5 },
-      }).setOrigin(0.5).setInteractive({ useHandCursor: true });
-      this.nextButton.visible = false;
-      this.nextButton.on('pointerdown', () => {
-        this.scene.start('ExampleScene');
-      });
+      // Next button (hidden until all steps done, so already visible when
+      // resuming or deep linking past the last step)
+      this.nextButton = this.createNextButton();
+      this.nextButton.visible = progress.get('BuildScene').stepIndex >= this.steps.length;
+      sceneStarted(this);
     }
-    update() {
-      const speed = 200;
-      if (this.cursors.left.isDown) {
-        this.player.setVelocityX(-speed);
-        this.player.setFlipX(true);
-        if (this.player.body.blocked.down) {
-          this.player.anims.play('robot-walk', true);
-        }
-      } else if (this.cursors.right.isDown) {
-        this.player.setVelocityX(speed);
-        this.player.setFlipX(false);
-        if (this.player.body.blocked.down) {
-          this.player.anims.play('robot-walk', true);
-        }
-      } else {
-        this.player.setVelocityX(0);
-        if (this.player.body.blocked.down) {
-          this.player.anims.play('robot-idle', true);
-        }
-      }
-      if (this.cursors.up.isDown && this.player.body.blocked.down) {
-        this.player.setVelocityY(-320);
-        this.player.anims.play('robot-jump', true);
-      }
-      if (!this.player.body.blocked.down && this.player.body.velocity.y > 0) {
-        this.player.anims.play('robot-fall', true);
+    update(time) {
+      super.update(time);
+      if (this.levelError) return;
+      if (this.dismissedStep !== null && !this.physics.overlap(this.player, this.signposts)) {
+        this.dismissedStep = null;
       }
     }
     reachSign(player, sign) {
+      if (this.stepsOpen || sign.stepIndex === this.dismissedStep) return;
       // Only trigger if we are at the current step
-      if (sign.stepIndex === this.stepIndex) {
-        const step = this.steps[this.stepIndex];
-        this.stepIndex++;
-        createOverlay(this, step).then(() => {
-          if (this.stepIndex >= this.steps.length) {
-            this.nextButton.visible = true;
-          }
+      if (sign.stepIndex === progress.get('BuildScene').stepIndex) {
+        this.showStep(sign.stepIndex);
+      }
+    }
+    showStep(index) {
+      const step = this.steps[index];
+      let closed;
+      if (step.terminal) {
+        // Complete only once the right command has been typed
+        closed = openTerminal(this, step, {
+          done: index < progress.get('BuildScene').stepIndex,
+          onSuccess: () => this.completeStep(index),
         });
+      } else {
+        this.completeStep(index);
+        closed = createOverlay(this, step);
       }
+      this.stepsOpen += 1;
+      closed.then(() => {
+        this.stepsOpen -= 1;
+        if (progress.get('BuildScene').stepIndex <= index) this.dismissedStep = index;
+      });
+    }
+    completeStep(index) {
+      // Completing a step (possibly ahead of the player, from the presenter
+      // view) completes every step up to it
+      const stepIndex = Math.max(progress.get('BuildScene').stepIndex, index + 1);
+      progress.set('BuildScene', { stepIndex });
+      if (stepIndex >= this.steps.length) {
+        this.nextButton.visible = true;
+      }
+    }
+    minimapMarkers() {
+      const { stepIndex } = progress.get('BuildScene');
+      return this.signposts.getChildren().map((post) => ({ x: post.x, y: post.y, done: post.stepIndex < stepIndex }));
+    }
+    presenterItems() {
+      const { stepIndex } = progress.get('BuildScene');
+      return this.steps.map((step, idx) => ({
+        id: String(idx),
+        title: `${idx + 1}. ${step.title}`,
+        notes: step.notes || '',
+        done: idx < stepIndex,
+      }));
+    }
+    openPresenterItem(id) {
+      this.showStep(Number(id));
     }
   }
 
@@ -670,218 +4061,444 @@ const floatY = Math.max(120, height - Math.round(220 * TILE_SCALE));
    * APIs. Each station displays a code snippet and generated output when
    * activated. After visiting all stations, the conclusion becomes available.
    */
-  class ExampleScene extends Phaser.Scene {
+  class ExampleScene extends GameplayScene {
     constructor() {
-      super('ExampleScene');
+      super('ExampleScene', 'pathLevel');
     }
     create() {
-      const { width, height } = this.scale;
-      // Consistent background using the city image
-      this.bg = this.add.image(0, 0, 'city_bg');
-      this.bg.setOrigin(0);
-      this.bg.setDisplaySize(width, height);
-      this.scale.on('resize', (gameSize) => {
-        const { width: w, height: h } = gameSize;
-        this.bg.setDisplaySize(w, h);
-      });
+      if (!super.create()) return;
+      const { width } = this.scale;
+      const level = this.level;
+      const content = getManifest(this).examples;
       // Title
-      this.add.text(width / 2, 20, 'Explore gic_sec', {
+      this.add.text(width / 2, 20, content.heading, {
         fontSize: '32px',
         fontFamily: 'Arial',
         color: '#ffffff'
-      }).setOrigin(0.5);
-      // Ground
-      const ground = this.physics.add.staticGroup();
-      // Build ground using tiles from the platform atlas. This replaces
-      // the simple rectangle with textured tiles that span the screen.
-      const tileSize = 32;
-      const tilesWide = Math.ceil(width / tileSize) + 1;
-      for (let i = 0; i < tilesWide; i++) {
-        let frame = 'ground_top';
-        if (i === 0) frame = 'ground_top_left';
-        else if (i === tilesWide - 1) frame = 'ground_top_right';
-        const tile = ground.create(i * tileSize, height, 'platform', frame);
-        tile.setOrigin(0, 1);
-      }
-      // Player: robot sprite with physics body
-      this.player = this.physics.add.sprite(60, height - 100, 'robot', 'idle_0');
-      this.player.setCollideWorldBounds(true);
-      this.player.setGravityY(300);
-      this.player.anims.play('robot-idle');
-      // Controls
-      this.cursors = this.input.keyboard.createCursorKeys();
-      // Stations definitions
-      this.stations = [
-        {
-          key: 'jwt',
-          label: 'JWT Encode/Decode',
-          code: `const payload = { sub: '12345', role: 'admin', exp: Math.floor(Date.now()/1000) + 3600 };
-const secret = 'my_super_secret_key';
-const token = gic.encodeJwt(JSON.stringify(payload), secret, 'HS512');
-const decoded = gic.decodeJwt(token, secret, true);
-console.log(token);\nconsole.log(decoded);`,
-          run: () => {
-            const payload = { sub: '12345', role: 'admin', exp: Math.floor(Date.now() / 1000) + 3600 };
-            const token = btoa(JSON.stringify(payload));
-            const decoded = JSON.stringify(payload);
-            return `Signed token: ${token}\nDecoded claims: ${decoded}`;
-          }
-        },
-        {
-          key: 'password',
-          label: 'Generate Password',
-          code: `// generatePassword(length, upper, lower, digits, symbols)
-const pwd = gic.generatePassword(16, true, true, true, '#*+');
-console.log(pwd);`,
-          run: () => {
-            function generatePassword(len, upper, lower, digits, symbols) {
-              const uppers = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-              const lowers = 'abcdefghijklmnopqrstuvwxyz';
-              const nums = '0123456789';
-              const sym = symbols;
-              let chars = '';
-              if (upper) chars += uppers;
-              if (lower) chars += lowers;
-              if (digits) chars += nums;
-              if (sym) chars += sym;
-              let result = '';
-              for (let i = 0; i < len; i++) {
-                result += chars.charAt(Math.floor(Math.random() * chars.length));
-              }
-              return result;
-            }
-            return generatePassword(16, true, true, true, '#*+');
-          }
-        },
-        {
-          key: 'hashing',
-          label: 'SHA‑256 & SHA‑512',
-          code: `const sha256 = gic.hashSha256('hello world');
-const sha512 = gic.hashSha512('hello world');
-console.log(sha256);\nconsole.log(sha512);`,
-          run: async () => {
-            const encoder = new TextEncoder();
-            const data = encoder.encode('hello world');
-            const hash256 = await crypto.subtle.digest('SHA-256', data);
-            const hash512 = await crypto.subtle.digest('SHA-512', data);
-            function hex(buffer) {
-              return Array.from(new Uint8Array(buffer))
-                .map(b => b.toString(16).padStart(2, '0'))
-                .join('');
-            }
-            return `SHA-256: ${hex(hash256)}\nSHA-512: ${hex(hash512)}`;
-          }
-        },
-        {
-          key: 'random',
-          label: 'Random base64 & UUID',
-          code: `const token = gic.randomBase64(32);
-const uuid = gic.generateUuidV4();
-console.log(token);\nconsole.log(uuid);`,
-          run: () => {
-            // Random base64
-            const bytes = new Uint8Array(32);
-            crypto.getRandomValues(bytes);
-            const base64 = btoa(String.fromCharCode(...bytes));
-            // UUID v4 generator
-            const uuid = ([1e7]+-1e3+-4e3+-8e3+-1e11).replace(/[018]/g, c =>
-              (c ^ crypto.getRandomValues(new Uint8Array(1))[0] & 15 >> c / 4).toString(16)
-            );
-            return `Random base64: ${base64}\nUUID v4: ${uuid}`;
-          }
-        }
-      ];
+      }).setOrigin(0.5).setScrollFactor(0);
+      // Station definitions come from the presentation manifest, each
+      // naming its runner in STATION_RUNNERS, and from station plugins
+      this.stations = exampleStations(this);
+      // Plugin stations dropped for reusing a manifest key are named at
+      // the end of the shared intro
+      this.stationIntro = skippedStationKeys.length
+        ? `${content.intro}\n\n${t('station.pluginSkipped', { keys: skippedStationKeys.join(', ') })}`
+        : content.intro;
+      // Start probing for the WASM build or native bridge right away so
+      // the first station does not wait on it
+      resolveStationBackend(this);
+      // Station overlays open or queued (the presenter view can open one
+      // while another is up), and a station closed without a successful
+      // run that only reopens once the robot has walked away
+      this.stationsOpen = 0;
+      this.dismissedStation = null;
       // Stations physics bodies
       this.stationBodies = this.physics.add.staticGroup();
-      const stationSpacing = width / (this.stations.length + 1);
+      // Stations stand where the level's objects layer puts them, else
+      // spread along the whole level
+      const stationSpacing = level.worldWidth / (this.stations.length + 1);
       this.stations.forEach((station, idx) => {
-        const x = stationSpacing * (idx + 1);
-        const body = this.stationBodies.create(x, height - 70, null).setSize(40, 60);
+        const placed = level.findObject('station', station.key);
+        const x = placed ? placed.x : stationSpacing * (idx + 1);
+        const groundY = placed ? placed.bottom : level.surfaceAt(x);
+        const body = this.stationBodies.create(x, groundY - 38, null).setSize(40, 60);
         body.stationKey = station.key;
         // Draw station base
         const sg = this.add.graphics();
         sg.fillStyle(0x247ba0, 1);
-        sg.fillRect(x - 30, height - 130, 60, 60);
+        sg.fillRect(x - 30, groundY - 98, 60, 60);
         // Label
-        this.add.text(x, height - 100, station.label, {
+        this.add.text(x, groundY - 68, station.label, {
           fontSize: '14px',
           fontFamily: 'Arial',
           color: '#ffffff',
           align: 'center',
           wordWrap: { width: 120 }
         }).setOrigin(0.5);
+        // Optional icon and category above the station
+        let captionY = groundY - 106;
+        if (station.icon) {
+          const icon = this.add.text(x, captionY, station.icon, { fontSize: '28px', fontFamily: 'Arial' })
+            .setOrigin(0.5, 1);
+          captionY -= icon.height + 2;
+        }
+        if (station.category) {
+          this.add.text(x, captionY, station.category, {
+            fontSize: '12px',
+            fontFamily: 'Arial',
+            color: '#aeeaff',
+            backgroundColor: 'rgba(0,0,0,0.5)',
+            padding: { left: 4, right: 4, top: 1, bottom: 1 }
+          }).setOrigin(0.5, 1);
+        }
       });
       // Collisions
-      this.physics.add.collider(this.player, ground);
       this.physics.add.overlap(this.player, this.stationBodies, this.visitStation, null, this);
-      // Next button after all visited
-      this.nextButton = this.add.text(width - 110, height - 40, 'Finish ▶', {
+      // Next button after all visited; already visible when resuming with
+      // every station visited
+      this.nextButton = this.createNextButton(t('finish'));
+      this.nextButton.visible = this.allVisited();
+      sceneStarted(this);
+    }
+    update(time) {
+      super.update(time);
+      if (this.levelError) return;
+      if (this.dismissedStation !== null && !this.physics.overlap(this.player, this.stationBodies)) {
+        this.dismissedStation = null;
+      }
+    }
+    visitStation(player, stationBody) {
+      const key = stationBody.stationKey;
+      if (this.stationsOpen || key === this.dismissedStation || progress.get('ExampleScene').visited[key]) return;
+      this.openStation(key);
+    }
+    // Opens a station's overlay and runs it (unless it waits for Run). The
+    // station only counts as visited once a run succeeds.
+    openStation(key) {
+      const station = this.stations.find(s => s.key === key);
+      // Execute the example against the active backend with the given
+      // input values. The output notes which backend produced it so the
+      // audience knows whether they are seeing the real Rust module or the
+      // JavaScript fallback. Registered stations bring their own runner
+      // function; runs that take longer than the station's timeout fail.
+      const inputs = station.inputs || [];
+      const runner = typeof station.run === 'function' ? station.run : STATION_RUNNERS[station.run];
+      const execute = (values, action, signal) => resolveStationBackend(this).then(async (backend) => {
+        if (!runner) throw new Error(t('station.noRunner', { name: station.run }));
+        const result = await runWithTimeout((taskSignal) => runner(backend.gic, values, action, this, taskSignal),
+          station.timeout || STATION_TIMEOUT, signal);
+        const { text, charts, backend: ranOn } = result && typeof result === 'object' ? result : { text: result };
+        const { visited } = progress.get('ExampleScene');
+        if (!visited[key]) progress.set('ExampleScene', { visited: { ...visited, [key]: true } });
+        return {
+          code: renderStationCode(station.code, inputs, values),
+          output: [
+            text,
+            '',
+            t('station.via', { backend: ranOn || t(`backend.${backend.type}`) }),
+            // Why the preferred backends were passed over
+            ...(ranOn ? [] : backend.skipped.map(({ type, reason }) => t('station.unavailable', { backend: t(`backend.${type}`), reason }))),
+          ].join('\n'),
+          charts,
+        };
+      });
+      const defaults = {};
+      inputs.forEach((input) => {
+        defaults[input.name] = input.default;
+      });
+      // Stations with `autorun: false` (e.g. the slow benchmark) wait for
+      // the audience to press Run
+      const autorun = station.autorun !== false;
+      this.stationsOpen += 1;
+      createOverlay(this, {
+        title: station.icon ? `${station.icon} ${station.label}` : station.label,
+        body: station.intro || this.stationIntro,
+        narration: station.narration,
+        code: renderStationCode(station.code, inputs, defaults),
+        language: station.language || 'js',
+        output: autorun ? '' : t('station.pressRun'),
+        // Let the audience change the arguments and re-run the example
+        inputs,
+        values: defaults,
+        actions: station.actions,
+        onRun: execute,
+        autorun,
+      }).then(() => {
+        this.stationsOpen -= 1;
+        if (!progress.get('ExampleScene').visited[key]) this.dismissedStation = key;
+        // After overlay closes, check if all visited
+        if (this.allVisited()) {
+          this.nextButton.visible = true;
+        }
+      });
+    }
+    allVisited() {
+      const { visited } = progress.get('ExampleScene');
+      return this.stations.every(s => visited[s.key]);
+    }
+    minimapMarkers() {
+      const { visited } = progress.get('ExampleScene');
+      return this.stationBodies.getChildren().map((body) => ({ x: body.x, y: body.y, done: Boolean(visited[body.stationKey]) }));
+    }
+    presenterItems() {
+      const { visited } = progress.get('ExampleScene');
+      return this.stations.map((s) => ({
+        id: s.key,
+        title: s.label,
+        notes: s.notes || '',
+        done: Boolean(visited[s.key]),
+      }));
+    }
+    openPresenterItem(id) {
+      this.openStation(id);
+    }
+  }
+
+  /**
+   * QuizScene
+   * Checks what the audience took away with multiple-choice and "predict
+   * the output" questions from the manifest's `quiz` section, one at a
+   * time with feedback after each answer. The results screen shows the
+   * score against the pass mark and exports the answers as JSON or CSV,
+   * e.g. as a record of onboarding.
+   */
+  class QuizScene extends Phaser.Scene {
+    constructor() {
+      super('QuizScene');
+    }
+    create() {
+      const { width, height } = this.scale;
+      this.content = getManifest(this).quiz;
+      this.questions = this.content.questions;
+      // Consistent background
+      this.bg = this.add.image(0, 0, 'city_bg');
+      this.bg.setOrigin(0);
+      this.bg.setDisplaySize(width, height);
+      // Title
+      this.add.text(width / 2, 40, this.content.heading, {
+        fontSize: '32px',
+        fontFamily: 'Arial',
+        color: '#ffffff'
+      }).setOrigin(0.5);
+      // Next button (hidden until the results are shown)
+      this.nextButton = this.add.text(width - 110, height - 40, t('next'), {
         fontSize: '22px',
         fontFamily: 'Arial',
         color: '#ffffff',
         backgroundColor: '#247ba0',
-        padding: { left: 10, right: 10, top: 5, bottom: 5 }
+        padding: { left: 10, right: 10, top: 5, bottom: 5 },
       }).setOrigin(0.5).setInteractive({ useHandCursor: true });
-      this.nextButton.visible = false;
       this.nextButton.on('pointerdown', () => {
-        this.scene.start('ConclusionScene');
+        startNextScene(this);
       });
+      // Objects of the question or results on screen, replaced as the
+      // quiz moves on
+      this.view = [];
+      this.events.once('shutdown', () => this.clearView());
+      this.showCurrent();
+      sceneStarted(this);
     }
-    update() {
-      const speed = 200;
-      if (this.cursors.left.isDown) {
-        this.player.setVelocityX(-speed);
-        this.player.setFlipX(true);
-        if (this.player.body.blocked.down) {
-          this.player.anims.play('robot-walk', true);
-        }
-      } else if (this.cursors.right.isDown) {
-        this.player.setVelocityX(speed);
-        this.player.setFlipX(false);
-        if (this.player.body.blocked.down) {
-          this.player.anims.play('robot-walk', true);
-        }
+    // Shows the question the audience is on, or the results once every
+    // question has been answered
+    showCurrent() {
+      const { index } = progress.get('QuizScene');
+      if (index >= this.questions.length) {
+        this.showResults();
       } else {
-        this.player.setVelocityX(0);
-        if (this.player.body.blocked.down) {
-          this.player.anims.play('robot-idle', true);
-        }
-      }
-      if (this.cursors.up.isDown && this.player.body.blocked.down) {
-        this.player.setVelocityY(-320);
-        this.player.anims.play('robot-jump', true);
+        this.showQuestion(index);
       }
-      if (!this.player.body.blocked.down && this.player.body.velocity.y > 0) {
-        this.player.anims.play('robot-fall', true);
+    }
+    clearView() {
+      if (this.formElement) {
+        this.formElement.destroy();
+        this.formElement = null;
+        reclaimKeyboard(this);
       }
+      this.view.forEach((object) => object.destroy());
+      this.view = [];
     }
-    visitStation(player, stationBody) {
-      const key = stationBody.stationKey;
-      if (gameState.examplesVisited[key]) return;
-      gameState.examplesVisited[key] = true;
-      // Find the station definition
-      const station = this.stations.find(s => s.key === key);
-      // Execute the example; handle async results
-      const result = station.run();
-      const showOverlay = (output) => {
-        createOverlay(this, {
-          title: station.label,
-          body: 'Here is how you use the API:',
-          code: station.code,
-          output
-        }).then(() => {
-          // After overlay closes, check if all visited
-          const allVisited = this.stations.every(s => gameState.examplesVisited[s.key]);
-          if (allVisited) {
-            this.nextButton.visible = true;
-          }
+    // Adds a text object to the current view
+    addText(x, y, text, style) {
+      const object = this.add.text(x, y, text, { fontFamily: 'Arial', color: '#ffffff', ...style });
+      applyTextDirection([object]);
+      this.view.push(object);
+      return object;
+    }
+    addButton(x, y, label, onClick) {
+      const button = this.addText(x, y, label, {
+        fontSize: '20px',
+        backgroundColor: '#247ba0',
+        padding: { left: 10, right: 10, top: 5, bottom: 5 },
+        wordWrap: { width: this.scale.width * 0.7 }
+      }).setInteractive({ useHandCursor: true });
+      button.on('pointerdown', onClick);
+      return button;
+    }
+    // Adds an HTML form to the current view. While it is on screen the
+    // keyboard goes to the form instead of the game.
+    addForm(x, y, form) {
+      this.formElement = this.add.dom(x, y, form).setOrigin(0);
+      lendKeyboardToDom(this);
+      return form;
+    }
+    showQuestion(index) {
+      this.clearView();
+      this.nextButton.visible = false;
+      const { width } = this.scale;
+      const question = this.questions[index];
+      const left = width * 0.15;
+      const wrap = { width: width * 0.7 };
+      this.addText(left, 90, t('quiz.progress', { n: index + 1, total: this.questions.length }), {
+        fontSize: '16px',
+        color: '#aeeaff'
+      });
+      const prompt = this.addText(left, 115, question.prompt, { fontSize: '24px', wordWrap: wrap });
+      let y = prompt.y + prompt.height + 15;
+      if (question.code) {
+        const code = this.addText(left, y, question.code, {
+          fontSize: '18px',
+          fontFamily: 'Courier New',
+          color: '#8bf0ff',
+          backgroundColor: 'rgba(0,0,0,0.6)',
+          padding: { left: 10, right: 10, top: 8, bottom: 8 },
+          wordWrap: wrap
         });
-      };
-      if (result instanceof Promise) {
-        result.then(showOverlay);
-      } else {
-        showOverlay(String(result));
+        y = code.y + code.height + 15;
       }
+      const answered = progress.get('QuizScene').answers[question.id];
+      const feedbackY = question.type === 'predict'
+        ? this.showPredictInput(question, left, y, answered)
+        : this.showChoices(question, left, y, answered);
+      if (answered) this.showFeedback(question, answered, left, feedbackY);
+      else this.feedbackY = feedbackY;
+    }
+    // Multiple choice: one button per option. Returns the y below them.
+    showChoices(question, left, top, answered) {
+      let y = top;
+      this.choiceButtons = question.options.map((option, i) => {
+        const button = this.addButton(left, y, `${String.fromCharCode(65 + i)}. ${option}`, () => {
+          if (progress.get('QuizScene').answers[question.id]) return;
+          this.answer(question, i, i === question.answer);
+        });
+        y += button.height + 10;
+        return button;
+      });
+      if (answered) this.markChoices(question, answered.given);
+      return y + 5;
+    }
+    // Colours the correct option green and a wrong pick red
+    markChoices(question, given) {
+      this.choiceButtons.forEach((button, i) => {
+        button.disableInteractive();
+        if (i === question.answer) button.setBackgroundColor('#2e7d32');
+        else if (i === given) button.setBackgroundColor('#c62828');
+        else button.setAlpha(0.6);
+      });
+    }
+    // Predict the output: a text field checked against the accepted
+    // answers, ignoring case and surrounding spaces. Returns the y below it.
+    showPredictInput(question, left, top, answered) {
+      const form = document.createElement('form');
+      form.className = 'overlay-form';
+      form.style.width = `${this.scale.width * 0.7}px`;
+      const label = document.createElement('label');
+      label.textContent = t('quiz.answerLabel');
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.name = 'answer';
+      input.value = answered ? answered.given : '';
+      input.disabled = Boolean(answered);
+      label.appendChild(input);
+      const check = document.createElement('button');
+      check.type = 'submit';
+      check.textContent = t('quiz.check');
+      check.disabled = Boolean(answered);
+      form.append(label, check);
+      form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const given = input.value.trim();
+        if (!given || progress.get('QuizScene').answers[question.id]) return;
+        input.disabled = true;
+        check.disabled = true;
+        const normalise = (text) => String(text).trim().toLowerCase();
+        this.answer(question, given, question.answers.some((a) => normalise(a) === normalise(given)));
+      });
+      this.addForm(left, top, form);
+      if (!answered) input.focus();
+      return top + form.offsetHeight + 15;
+    }
+    answer(question, given, correct) {
+      const { answers } = progress.get('QuizScene');
+      const answered = { given, correct };
+      progress.set('QuizScene', { answers: { ...answers, [question.id]: answered } });
+      if (question.type !== 'predict') this.markChoices(question, given);
+      this.showFeedback(question, answered, this.scale.width * 0.15, this.feedbackY);
+    }
+    // Correct/incorrect message, the explanation and the way on
+    showFeedback(question, answered, left, top) {
+      const { index } = progress.get('QuizScene');
+      const feedback = this.addText(left, top, answered.correct
+        ? t('quiz.correct')
+        : t('quiz.incorrect', { answer: expectedAnswer(question) }), {
+        fontSize: '22px',
+        fontStyle: 'bold',
+        color: answered.correct ? '#a5d6a7' : '#ff8a80',
+        wordWrap: { width: this.scale.width * 0.7 }
+      });
+      const explanation = this.addText(left, feedback.y + feedback.height + 8, question.explanation || '', {
+        fontSize: '18px',
+        color: '#d0d0d0',
+        wordWrap: { width: this.scale.width * 0.7 }
+      });
+      const last = index >= this.questions.length - 1;
+      this.addButton(left, explanation.y + explanation.height + 15,
+        t(last ? 'quiz.showResults' : 'quiz.nextQuestion'), () => {
+          progress.set('QuizScene', { index: index + 1 });
+          this.showCurrent();
+        });
+    }
+    showResults() {
+      this.clearView();
+      const { width } = this.scale;
+      const left = width * 0.15;
+      const results = quizResults(this);
+      this.addText(left, 100, t('quiz.results'), { fontSize: '28px', fontStyle: 'bold' });
+      const score = this.addText(left, 145, t('quiz.score', results), { fontSize: '22px', color: '#aeeaff' });
+      const verdict = this.addText(left, score.y + score.height + 8,
+        results.passed ? t('quiz.passed') : t('quiz.failed', { percent: Math.round(results.passMark * 100) }), {
+          fontSize: '22px',
+          fontStyle: 'bold',
+          color: results.passed ? '#a5d6a7' : '#ff8a80'
+        });
+      // Name for the export, kept in the store as it is typed
+      const form = document.createElement('form');
+      form.className = 'overlay-form';
+      form.style.width = `${width * 0.7}px`;
+      const label = document.createElement('label');
+      label.textContent = t('quiz.nameLabel');
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.name = 'name';
+      input.value = progress.get('QuizScene').name;
+      input.addEventListener('input', () => progress.set('QuizScene', { name: input.value }));
+      label.appendChild(input);
+      const exportJson = document.createElement('button');
+      exportJson.type = 'button';
+      exportJson.textContent = t('quiz.exportJson');
+      exportJson.addEventListener('click', () => {
+        const record = quizResults(this);
+        downloadFile(`${exportFileName(record)}.json`, 'application/json', JSON.stringify(record, null, 2));
+      });
+      const exportCsv = document.createElement('button');
+      exportCsv.type = 'button';
+      exportCsv.textContent = t('quiz.exportCsv');
+      exportCsv.addEventListener('click', () => {
+        const record = quizResults(this);
+        downloadFile(`${exportFileName(record)}.csv`, 'text/csv', quizResultsCsv(record));
+      });
+      form.append(label, exportJson, exportCsv);
+      form.addEventListener('submit', (event) => event.preventDefault());
+      this.addForm(left, verdict.y + verdict.height + 20, form);
+      this.addButton(left, verdict.y + verdict.height + 40 + form.offsetHeight, t('quiz.retake'), () => {
+        progress.set('QuizScene', { index: 0, answers: {} });
+        this.showCurrent();
+      });
+      this.nextButton.visible = true;
+    }
+    presenterItems() {
+      const { answers } = progress.get('QuizScene');
+      return this.questions.map((q, i) => ({
+        id: q.id,
+        title: `${i + 1}. ${q.prompt}`,
+        notes: q.explanation || '',
+        done: Boolean(answers[q.id]),
+      }));
+    }
+    openPresenterItem(id) {
+      const index = this.questions.findIndex((q) => q.id === id);
+      if (index < 0) return;
+      progress.set('QuizScene', { index });
+      this.showCurrent();
     }
   }
 
@@ -899,27 +4516,16 @@ console.log(token);\nconsole.log(uuid);`,
       this.bg = this.add.image(0, 0, 'city_bg');
       this.bg.setOrigin(0);
       this.bg.setDisplaySize(width, height);
-      this.scale.on('resize', (gameSize) => {
-        const { width: w, height: h } = gameSize;
-        this.bg.setDisplaySize(w, h);
-      });
+      const content = getManifest(this).conclusion;
       // Title
-      this.add.text(width / 2, 60, 'Congratulations!', {
+      this.add.text(width / 2, 60, content.title, {
         fontSize: '40px',
         fontFamily: 'Arial',
         color: '#ffffff',
         fontStyle: 'bold'
       }).setOrigin(0.5);
       // Summary text
-      const summary =
-        'You have discovered why Rust makes Node.js stronger: blazing fast performance,\n' +
-        'memory safety without garbage collection, fearless concurrency and seamless integration\n' +
-        'with napi‑rs. You walked through the build process and explored the gic_sec API.\n\n' +
-        'By creating your own native modules, you empower your TypeScript codebase with the\n' +
-        'speed and reliability of Rust. It keeps sensitive operations on the client and\n' +
-        'avoids sending secrets to remote services. Adopt this culture and level up your\n' +
-        'development workflow!';
-      this.add.text(width / 2, height / 2, summary, {
+      this.add.text(width / 2, height / 2, content.body, {
         fontSize: '20px',
         fontFamily: 'Arial',
         color: '#aeeaff',
@@ -927,7 +4533,7 @@ console.log(token);\nconsole.log(uuid);`,
         wordWrap: { width: width * 0.8 }
       }).setOrigin(0.5);
       // Exit button
-      const exitButton = this.add.text(width / 2, height - 80, 'Play Again', {
+      const exitButton = this.add.text(width / 2, height - 80, content.restart, {
         fontSize: '24px',
         fontFamily: 'Arial',
         color: '#ffffff',
@@ -935,11 +4541,383 @@ console.log(token);\nconsole.log(uuid);`,
         padding: { left: 20, right: 20, top: 10, bottom: 10 }
       }).setOrigin(0.5).setInteractive({ useHandCursor: true });
       exitButton.on('pointerdown', () => {
-        // Reset state for another run
-        gameState.benefitsCollected = {};
-        gameState.examplesVisited = {};
-        this.scene.start('TitleScene');
+        // Reset all progress for another run
+        progress.reset();
+        this.scene.start(getManifest(this).scenes[0]);
+      });
+      sceneStarted(this);
+    }
+  }
+
+  // -------- Level editor --------
+  // `?edit` in the URL opens EditorScene instead of the presentation, on
+  // the level named by `?edit=<key>` (see LEVEL_FILES) or the first one.
+  // Tiles are painted from a palette of the `platform` atlas frames and
+  // the objects layer is filled from the manifest's benefits, steps and
+  // stations. Levels export and import in the level file format, and
+  // play-testing runs the real scene on the edited level.
+  const editLevel = new URLSearchParams(location.search).get('edit');
+  const editMode = editLevel !== null;
+
+  // Editor layout: height of the toolbar, width of the palette and the
+  // largest size (px) a grid cell is drawn at
+  const EDITOR_TOOLBAR = 60;
+  const EDITOR_PALETTE = 260;
+  const EDITOR_MAX_CELL = 64;
+
+  // Marker colours for objects without a colour of their own
+  const EDITOR_COLORS = { spawn: 0xffffff, signpost: 0x247ba0, station: 0x3cba54 };
+
+  // Whether two objects are the same thing (the same spawn, benefit,
+  // signpost or station), which may only be placed once
+  function sameLevelObject(a, b) {
+    return a.type === b.type && a.key === b.key && a.step === b.step;
+  }
+
+  /**
+   * EditorScene
+   * Grid editor for level files. The left button paints the selected tile
+   * or places the selected object (moving it if already placed), the right
+   * button erases, and the wheel or arrow keys scroll wide levels. Edits
+   * are kept in a copy that is written back to the JSON cache when
+   * play-testing or switching level, so gameplay scenes build from it.
+   */
+  class EditorScene extends Phaser.Scene {
+    constructor() {
+      super('EditorScene');
+    }
+    init(data) {
+      this.levelKey = data.levelKey || (LEVEL_FILES[editLevel] ? editLevel : Object.keys(LEVEL_FILES)[0]);
+      // A level that failed to load cannot be drawn; open the first good
+      // one and say why
+      this.failedLevel = null;
+      if (levelErrors[this.levelKey]) {
+        const fallback = Object.keys(LEVEL_FILES).find((key) => !levelErrors[key]);
+        if (fallback) {
+          this.failedLevel = this.levelKey;
+          this.levelKey = fallback;
+        }
+      }
+    }
+    create() {
+      const { height } = this.scale;
+      this.cameras.main.setBackgroundColor('#05070d');
+      this.input.mouse.disableContextMenu();
+      this.level = JSON.parse(JSON.stringify(this.cache.json.get(this.levelKey)));
+      this.level.objects = this.level.objects || [];
+      this.frames = getTileFrames(this, this.level.tileWidth, this.level.tileHeight);
+      this.cell = Math.min(EDITOR_MAX_CELL, Math.floor((height - EDITOR_TOOLBAR - 60) / this.level.height));
+      this.gridX = EDITOR_PALETTE + 20;
+      this.gridY = EDITOR_TOOLBAR + 20;
+      this.gridLayer = this.add.container(0, 0);
+      this.objectLayer = this.add.container(0, 0);
+      this.objectTools = this.createObjectTools();
+      this.renderGrid();
+      this.renderObjects();
+      this.createPalette();
+      this.createToolbar();
+      this.add.text(this.gridX, height - 20, t('editor.hint'), {
+        fontSize: '16px',
+        fontFamily: 'Arial',
+        color: '#aeeaff'
+      }).setOrigin(0, 1).setScrollFactor(0);
+      // A drag paints every cell it crosses once
+      this.input.on('pointerdown', (pointer) => {
+        this.lastCell = null;
+        this.paint(pointer);
+      });
+      this.input.on('pointermove', (pointer) => {
+        if (pointer.isDown) this.paint(pointer);
+      });
+      this.input.on('wheel', (pointer, over, dx, dy) => this.pan(dx + dy));
+      this.cursors = this.input.keyboard.createCursorKeys();
+      // No scene music while editing
+      audio.playSceneMusic(this);
+    }
+    update(time, delta) {
+      if (this.cursors.left.isDown) this.pan(-delta);
+      else if (this.cursors.right.isDown) this.pan(delta);
+    }
+    pan(dx) {
+      this.cameras.main.scrollX += dx;
+    }
+    // One palette entry per placeable object, from the manifest
+    createObjectTools() {
+      const manifest = getManifest(this);
+      return [
+        { type: 'spawn', label: t('editor.spawn'), short: '★', color: EDITOR_COLORS.spawn },
+        ...manifest.benefits.map((benefit) => ({
+          type: 'benefit',
+          key: benefit.key,
+          label: benefit.label || benefit.key,
+          short: 'B',
+          color: Phaser.Display.Color.HexStringToColor(benefit.color).color,
+        })),
+        ...manifest.steps.map((step, idx) => ({
+          type: 'signpost',
+          step: idx,
+          label: `${idx + 1}. ${step.title}`,
+          short: String(idx + 1),
+          color: EDITOR_COLORS.signpost,
+        })),
+        ...exampleStations(this).map((station) => ({
+          type: 'station',
+          key: station.key,
+          label: station.label,
+          short: 'S',
+          color: EDITOR_COLORS.station,
+        })),
+      ];
+    }
+    // Draws the grid lines and every tile, and fits the camera to the level
+    renderGrid() {
+      const { width: cols, height: rows, data } = this.level;
+      const cell = this.cell;
+      this.gridLayer.removeAll(true);
+      const lines = this.add.graphics();
+      lines.lineStyle(1, 0x247ba0, 0.4);
+      for (let c = 0; c <= cols; c += 1) {
+        lines.lineBetween(this.gridX + c * cell, this.gridY, this.gridX + c * cell, this.gridY + rows * cell);
+      }
+      for (let r = 0; r <= rows; r += 1) {
+        lines.lineBetween(this.gridX, this.gridY + r * cell, this.gridX + cols * cell, this.gridY + r * cell);
+      }
+      this.gridLayer.add(lines);
+      // Decor (e.g. from a Tiled map) is shown faintly and cannot be edited
+      (this.level.decor || []).forEach((grid) => grid.forEach((row, r) => row.forEach((index, c) => {
+        const image = this.drawTile(c, r, index);
+        if (image) image.setAlpha(0.4);
+      })));
+      this.tiles = data.map((row, r) => row.map((index, c) => this.drawTile(c, r, index)));
+      const { width, height } = this.scale;
+      this.cameras.main.setBounds(0, 0, Math.max(width, this.gridX + cols * cell + 20), height);
+    }
+    drawTile(c, r, index) {
+      const frame = this.frames[index];
+      if (!frame) return null;
+      const image = this.add.image(this.gridX + c * this.cell, this.gridY + r * this.cell, 'platform', frame)
+        .setOrigin(0)
+        .setDisplaySize(this.cell, this.cell);
+      this.gridLayer.add(image);
+      return image;
+    }
+    setTile(c, r, index) {
+      if (this.level.data[r][c] === index) return;
+      this.level.data[r][c] = index;
+      if (this.tiles[r][c]) this.tiles[r][c].destroy();
+      this.tiles[r][c] = this.drawTile(c, r, index);
+    }
+    // Draws a marker for every object, labelled like its palette entry
+    renderObjects() {
+      this.objectLayer.removeAll(true);
+      this.level.objects.forEach((object) => {
+        if (object.type === 'collider') {
+          this.objectLayer.add(this.add.rectangle(this.gridX + object.col * this.cell, this.gridY + object.row * this.cell,
+            (object.cols || 1) * this.cell, (object.rows || 1) * this.cell, 0xff6666, 0.3).setOrigin(0));
+          return;
+        }
+        const tool = this.objectTools.find((candidate) => sameLevelObject(candidate, object)) ||
+          { short: '?', color: 0xff6666 };
+        const x = this.gridX + (object.col + 0.5) * this.cell;
+        const y = this.gridY + (object.row + 0.5) * this.cell;
+        const marker = this.add.circle(x, y, this.cell * 0.35, tool.color, 0.9).setStrokeStyle(2, 0x000000);
+        const label = this.add.text(x, y, tool.short, {
+          fontSize: '16px',
+          fontFamily: 'Arial',
+          color: '#000000',
+          fontStyle: 'bold'
+        }).setOrigin(0.5);
+        this.objectLayer.add([marker, label]);
+      });
+    }
+    // Applies the selected tool to the cell under the pointer
+    paint(pointer) {
+      if (pointer.x < EDITOR_PALETTE || pointer.y < EDITOR_TOOLBAR) return;
+      const c = Math.floor((pointer.worldX - this.gridX) / this.cell);
+      const r = Math.floor((pointer.worldY - this.gridY) / this.cell);
+      if (c < 0 || r < 0 || c >= this.level.width || r >= this.level.height) return;
+      const cellKey = `${c},${r}`;
+      if (cellKey === this.lastCell) return;
+      this.lastCell = cellKey;
+      if (pointer.rightButtonDown() || this.tool.kind === 'erase') {
+        this.erase(c, r);
+      } else if (this.tool.kind === 'tile') {
+        this.setTile(c, r, this.tool.index);
+      } else {
+        this.placeObject(this.tool.object, c, r);
+      }
+    }
+    // Removes the objects in a cell, or its tile when it has none
+    erase(c, r) {
+      const kept = this.level.objects.filter((object) => object.col !== c || object.row !== r);
+      if (kept.length < this.level.objects.length) {
+        this.level.objects = kept;
+        this.renderObjects();
+      } else {
+        this.setTile(c, r, -1);
+      }
+    }
+    placeObject(tool, c, r) {
+      const object = { type: tool.type };
+      if (tool.key !== undefined) object.key = tool.key;
+      if (tool.step !== undefined) object.step = tool.step;
+      object.col = c;
+      object.row = r;
+      this.level.objects = this.level.objects.filter((other) => !sameLevelObject(other, object));
+      this.level.objects.push(object);
+      this.renderObjects();
+    }
+    // Left-hand palette: the atlas frames and the eraser as a grid of
+    // tiles, then the objects as a list. The selected entry is outlined.
+    createPalette() {
+      const { height } = this.scale;
+      this.add.rectangle(0, 0, EDITOR_PALETTE, height, 0x18202a).setOrigin(0).setScrollFactor(0).setDepth(5);
+      const ui = (object) => object.setScrollFactor(0).setDepth(6);
+      const heading = (y, text) => ui(this.add.text(16, y, text, {
+        fontSize: '16px',
+        fontFamily: 'Arial',
+        color: '#aeeaff'
+      }));
+      this.selection = ui(this.add.rectangle(0, 0, 10, 10).setOrigin(0).setStrokeStyle(2, 0xffd54f)).setDepth(7);
+      const select = (tool, item) => {
+        this.tool = tool;
+        this.selection.setPosition(item.x - 3, item.y - 3).setSize(item.displayWidth + 6, item.displayHeight + 6);
+      };
+      heading(EDITOR_TOOLBAR + 10, t('editor.tiles'));
+      const size = 48;
+      const slot = (i) => ({ x: 16 + (i % 4) * (size + 12), y: EDITOR_TOOLBAR + 40 + Math.floor(i / 4) * (size + 12) });
+      let count = 0;
+      let first = null;
+      this.frames.forEach((frame, index) => {
+        if (!frame) return;
+        const { x, y } = slot(count);
+        count += 1;
+        const tool = { kind: 'tile', index };
+        const item = ui(this.add.image(x, y, 'platform', frame).setOrigin(0).setDisplaySize(size, size))
+          .setInteractive({ useHandCursor: true })
+          .on('pointerdown', () => select(tool, item));
+        if (!first) first = () => select(tool, item);
+      });
+      const eraserSlot = slot(count);
+      const eraser = ui(this.add.text(eraserSlot.x, eraserSlot.y, t('editor.erase'), {
+        fontSize: '14px',
+        fontFamily: 'Arial',
+        color: '#ffffff',
+        backgroundColor: '#5d0b0b',
+        align: 'center',
+        fixedWidth: size,
+        fixedHeight: size,
+        padding: { top: 15 }
+      })).setInteractive({ useHandCursor: true })
+        .on('pointerdown', () => select({ kind: 'erase' }, eraser));
+      let y = slot(count).y + size + 20;
+      heading(y, t('editor.objects'));
+      y += 28;
+      this.objectTools.forEach((object) => {
+        const label = object.label.length > 26 ? `${object.label.slice(0, 25)}…` : object.label;
+        ui(this.add.circle(24, y + 9, 7, object.color));
+        const item = ui(this.add.text(38, y, label, {
+          fontSize: '14px',
+          fontFamily: 'Arial',
+          color: '#ffffff'
+        })).setInteractive({ useHandCursor: true })
+          .on('pointerdown', () => select({ kind: 'object', object }, item));
+        y += 22;
+      });
+      if (first) first();
+      else select({ kind: 'erase' }, eraser);
+    }
+    // Top toolbar: level picker, width, play-test, export and import
+    createToolbar() {
+      const { width } = this.scale;
+      this.add.rectangle(0, 0, width, EDITOR_TOOLBAR, 0x0b3c5d).setOrigin(0).setScrollFactor(0).setDepth(5);
+      let x = 16;
+      const button = (label, onClick, color = '#247ba0') => {
+        const text = this.add.text(x, EDITOR_TOOLBAR / 2, label, {
+          fontSize: '18px',
+          fontFamily: 'Arial',
+          color: '#ffffff',
+          backgroundColor: color,
+          padding: { left: 10, right: 10, top: 5, bottom: 5 }
+        }).setOrigin(0, 0.5).setScrollFactor(0).setDepth(6);
+        if (onClick) text.setInteractive({ useHandCursor: true }).on('pointerdown', onClick);
+        x += text.width + 10;
+        return text;
+      };
+      Object.keys(LEVEL_FILES).forEach((key) => {
+        const current = key === this.levelKey;
+        button(key, () => {
+          if (current) return;
+          this.commit();
+          this.scene.restart({ levelKey: key });
+        }, current ? '#05070d' : '#247ba0');
+      });
+      x += 20;
+      button('−', () => this.resize(-1));
+      const widthLabel = button(t('editor.width', { width: this.level.width }), null, '#0b3c5d');
+      button('+', () => this.resize(1));
+      this.updateWidthLabel = () => widthLabel.setText(t('editor.width', { width: this.level.width }));
+      x += 20;
+      this.scene.manager.scenes
+        .filter((scene) => scene instanceof GameplayScene && scene.levelKey === this.levelKey)
+        .forEach((scene) => button(t('editor.play', { scene: scene.scene.key }), () => {
+          this.commit();
+          this.scene.start(scene.scene.key);
+        }, '#2e7d32'));
+      x += 20;
+      button(t('editor.export'), () => this.exportLevel());
+      button(t('editor.import'), () => this.importLevel());
+      const failed = this.failedLevel;
+      this.status = this.add.text(x + 10, EDITOR_TOOLBAR / 2,
+        failed ? t('level.failed', { key: failed, message: levelErrors[failed] }) : '', {
+        fontSize: '16px',
+        fontFamily: 'Arial',
+        color: '#ff8a80'
+      }).setOrigin(0, 0.5).setScrollFactor(0).setDepth(6);
+    }
+    // Adds (delta > 0) or removes columns on the right of the level
+    resize(delta) {
+      const cols = this.level.width + delta;
+      if (cols < 1) return;
+      [this.level.data, ...(this.level.decor || [])].forEach((grid) => grid.forEach((row) => {
+        if (delta > 0) row.push(...new Array(delta).fill(-1));
+        else row.splice(cols);
+      }));
+      this.level.width = cols;
+      this.level.objects = this.level.objects.filter((object) => object.col < cols);
+      this.renderGrid();
+      this.renderObjects();
+      this.updateWidthLabel();
+    }
+    // Writes the edited level to the JSON cache under its key
+    commit() {
+      this.cache.json.remove(this.levelKey);
+      this.cache.json.add(this.levelKey, this.level);
+    }
+    exportLevel() {
+      const filename = LEVEL_FILES[this.levelKey].split('/').pop();
+      downloadFile(filename, 'application/json', JSON.stringify(this.level, null, 2));
+    }
+    // Replaces the level with a JSON file picked by the user, once it
+    // passes validateLevel() against this tileset
+    importLevel() {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = '.json,application/json';
+      input.addEventListener('change', () => {
+        if (!input.files.length) return;
+        input.files[0].text().then((text) => {
+          const json = JSON.parse(text);
+          const level = isTiledMap(json) ? fromTiledMap(json) : json;
+          this.level = validateLevel(level, getTileFrames(this, level.tileWidth, level.tileHeight),
+            getManifest(this).steps.length);
+          this.commit();
+          this.scene.restart({ levelKey: this.levelKey });
+        }).catch((err) => {
+          this.status.setText(t('editor.importFailed', { message: err.message }));
+        });
       });
+      input.click();
     }
   }
 
@@ -947,13 +4925,13 @@ console.log(token);\nconsole.log(uuid);`,
   const config = {
     type: Phaser.AUTO,
     parent: 'game-container',
-    width: window.innerWidth,
-    height: window.innerHeight,
-    // Make the game responsive. RESIZE allows the game canvas to match
-    // the parent container dimensions. AutoCenter ensures the canvas is
-    // centered when aspect ratios differ.
+    width: VIRTUAL_WIDTH,
+    height: VIRTUAL_HEIGHT,
+    // Fixed virtual resolution: FIT scales the canvas (and the DOM
+    // container of overlay forms) to the largest size that fits the
+    // window while keeping the aspect ratio, and AutoCenter centres it.
     scale: {
-      mode: Phaser.Scale.RESIZE,
+      mode: Phaser.Scale.FIT,
       autoCenter: Phaser.Scale.CENTER_BOTH,
     },
     physics: {
@@ -963,9 +4941,34 @@ console.log(token);\nconsole.log(uuid);`,
         debug: false,
       },
     },
-    scene: [BootScene, TitleScene, BenefitScene, NapiScene, BuildScene, ExampleScene, ConclusionScene],
+    // DOM elements are used for the editable inputs in station overlays
+    dom: {
+      createContainer: true,
+    },
+    // Gamepad support and enough pointers for holding two touch buttons
+    // at once (e.g. move and jump)
+    input: {
+      gamepad: true,
+      activePointers: 3,
+    },
+    scene: [BootScene, TitleScene, BenefitScene, NapiScene, BuildScene, ExampleScene, QuizScene, ConclusionScene, EditorScene],
   };
 
+  // Editing the URL hash (or following a deep link) jumps to that scene
+  window.addEventListener('hashchange', () => {
+    if (activeScene) startRoute(activeScene, parseRoute(location.hash.slice(1)));
+  });
+
+  // P opens the presenter view and M toggles mute from any scene, unless
+  // the audience is typing into an overlay form
+  window.addEventListener('keydown', (event) => {
+    const typing = event.target instanceof Element && event.target.closest('input, select, textarea');
+    if (typing) return;
+    const key = event.key.toLowerCase();
+    if (key === 'p') openPresenterWindow();
+    else if (key === 'm') audio.set({ muted: !audio.settings.muted });
+  });
+
   // Start the game
   new Phaser.Game(config);
 })();
\ No newline at end of file
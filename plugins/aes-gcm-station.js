@@ -0,0 +1,78 @@
+/*
+ * gic_sec Adventure – example station plugin
+ *
+ * Adds an AES-GCM encryption station to ExampleScene through the public
+ * plugin API, without touching main.js or the manifest. It runs on the
+ * browser's WebCrypto rather than the gic_sec module: a key is derived
+ * from the passphrase with PBKDF2, the message is encrypted with a fresh
+ * random IV and then decrypted again. "Tamper" flips one ciphertext byte
+ * first to show the authentication tag rejecting it.
+ *
+ * Load it after main.js: <script defer src="./plugins/aes-gcm-station.js"></script>
+ */
+(() => {
+  const encoder = new TextEncoder();
+  const toHex = (bytes) => Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+  const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+
+  // Derives an AES-256-GCM key from a passphrase and salt
+  async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt'],
+    );
+  }
+
+  gicSecAdventure.registerStation({
+    key: 'aesGcm',
+    label: 'AES-GCM encryption',
+    category: 'Plugin · WebCrypto',
+    icon: '🔐',
+    intro: 'Authenticated encryption from a plugin script. Change the message or passphrase and press Run, or Tamper to flip a byte of the ciphertext before decrypting.',
+    notes: 'Registered by plugins/aes-gcm-station.js through gicSecAdventure.registerStation(). Runs on WebCrypto, not the gic_sec module.',
+    timeout: 5000,
+    inputs: [
+      { name: 'message', label: 'Message', type: 'text', default: 'Meet at the bridge at dawn' },
+      { name: 'passphrase', label: 'Passphrase', type: 'text', default: 'correct horse battery staple' },
+      { name: 'iterations', label: 'PBKDF2 iterations', type: 'number', min: 1000, max: 1000000, default: 100000 },
+    ],
+    actions: [{ name: 'tamper', label: 'Tamper' }],
+    code: [
+      "const salt = crypto.getRandomValues(new Uint8Array(16));",
+      "const key = await deriveKey({{passphrase}}, salt, {{iterations}});",
+      "const iv = crypto.getRandomValues(new Uint8Array(12));",
+      "const sealed = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encode({{message}}));",
+      "const opened = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, sealed);",
+    ].join('\n'),
+    run: async (gic, { message, passphrase, iterations }, action) => {
+      if (!crypto.subtle) throw new Error('WebCrypto needs a secure context (https or localhost)');
+      const salt = crypto.getRandomValues(new Uint8Array(16));
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      const started = performance.now();
+      const key = await deriveKey(passphrase, salt, iterations);
+      const derivedIn = performance.now() - started;
+      const sealed = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(message)));
+      const lines = [
+        `Salt: ${toHex(salt)}`,
+        `Key derived in ${derivedIn.toFixed(1)} ms (${iterations} PBKDF2 iterations)`,
+        `IV: ${toHex(iv)}`,
+        `Ciphertext + tag: ${toBase64(sealed)}`,
+      ];
+      if (action === 'tamper') {
+        sealed[0] ^= 0x01;
+        lines.push('Flipped the first ciphertext byte');
+      }
+      try {
+        const opened = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, sealed);
+        lines.push(`Decrypted: ${new TextDecoder().decode(opened)}`);
+      } catch (err) {
+        lines.push('Decryption failed: the authentication tag does not match');
+      }
+      return { text: lines.join('\n'), backend: 'WebCrypto (plugin)' };
+    },
+  });
+})();
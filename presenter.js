@@ -0,0 +1,138 @@
+/*
+ * gic_sec Adventure – presenter view
+ *
+ * Runs in a second browser window opened from the game (press P). It
+ * listens on the same BroadcastChannel as main.js for the game's state
+ * and shows the current scene, speaker notes for each benefit, step or
+ * station, a talk timer and what comes next. Its buttons send commands
+ * back to the game to open or close overlays and advance scenes. Its text
+ * comes from the game's locale bundles, in the language the game reports.
+ */
+(() => {
+  const channel = new BroadcastChannel('gic-sec-presenter');
+  const $ = (id) => document.getElementById(id);
+  let lastState = null;
+
+  // UI strings from assets/locales/<lang>.json, like the game's t(): the
+  // current language, then English, then the key itself. Until the game
+  // reports its language the one it last saved is used.
+  const bundles = {};
+  const loading = {};
+  let lang = 'en';
+  function t(key, params) {
+    const lookup = (code) => bundles[code] && bundles[code].ui && bundles[code].ui[key];
+    const text = lookup(lang) || lookup('en') || key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params && name in params ? params[name] : match));
+  }
+  function loadBundle(code) {
+    if (!loading[code]) {
+      loading[code] = fetch(`assets/locales/${code}.json`)
+        .then((res) => (res.ok ? res.json() : null))
+        .catch(() => null)
+        .then((bundle) => {
+          bundles[code] = bundle;
+        });
+    }
+    return loading[code];
+  }
+  function setLanguage(code) {
+    if (!/^[a-z]+$/.test(code)) return;
+    lang = code;
+    Promise.all([loadBundle('en'), loadBundle(code)]).then(() => {
+      if (lang !== code) return;
+      document.documentElement.lang = code;
+      document.documentElement.dir = bundles[code] && bundles[code].dir === 'rtl' ? 'rtl' : 'ltr';
+      document.querySelectorAll('[data-i18n]').forEach((el) => {
+        el.textContent = t(el.dataset.i18n);
+      });
+      renderToggle();
+      if (lastState) render(lastState);
+    });
+  }
+
+  // Talk timer. Starts when the presenter view opens and can be paused
+  // or reset; elapsed time is kept in milliseconds.
+  let elapsed = 0;
+  let startedAt = Date.now();
+  function renderTimer() {
+    const total = elapsed + (startedAt ? Date.now() - startedAt : 0);
+    const seconds = Math.floor(total / 1000);
+    const mm = String(Math.floor(seconds / 60)).padStart(2, '0');
+    const ss = String(seconds % 60).padStart(2, '0');
+    $('timer').textContent = `${mm}:${ss}`;
+  }
+  function renderToggle() {
+    $('timer-toggle').textContent = t(startedAt ? 'presenter.pause' : 'presenter.resume');
+  }
+  setInterval(renderTimer, 250);
+  $('timer-toggle').addEventListener('click', () => {
+    if (startedAt) {
+      elapsed += Date.now() - startedAt;
+      startedAt = null;
+    } else {
+      startedAt = Date.now();
+    }
+    renderToggle();
+  });
+  $('timer-reset').addEventListener('click', () => {
+    elapsed = 0;
+    if (startedAt) startedAt = Date.now();
+    renderTimer();
+  });
+
+  // Renders a `state` message published by the game
+  function render(state) {
+    lastState = state;
+    $('scene').textContent = state.scene;
+    $('notes').textContent = state.notes || t('presenter.noNotes');
+    $('overlay').textContent = state.overlay
+      ? t('presenter.overlayOpen', { title: state.overlay })
+      : t('presenter.noOverlay');
+    $('close-overlay').disabled = !state.overlay;
+    const upcoming = state.items.find((item) => !item.done);
+    if (upcoming) {
+      $('next').textContent = upcoming.title;
+    } else {
+      $('next').textContent = state.nextScene
+        ? t('presenter.nextSceneItem', { scene: state.nextScene })
+        : t('presenter.end');
+    }
+    const list = $('items');
+    list.textContent = '';
+    state.items.forEach((item) => {
+      const li = document.createElement('li');
+      li.className = item.done ? 'done' : '';
+      const title = document.createElement('div');
+      title.className = 'item-title';
+      title.textContent = `${item.done ? '✓ ' : ''}${item.title}`;
+      const open = document.createElement('button');
+      open.textContent = t('presenter.open');
+      open.addEventListener('click', () => channel.postMessage({ type: 'open', id: item.id }));
+      title.appendChild(open);
+      const notes = document.createElement('div');
+      notes.className = 'notes';
+      notes.textContent = item.notes;
+      li.append(title, notes);
+      list.appendChild(li);
+    });
+  }
+
+  channel.onmessage = (event) => {
+    if (event.data.type !== 'state') return;
+    if (event.data.lang && event.data.lang !== lang) setLanguage(event.data.lang);
+    render(event.data);
+  };
+  $('close-overlay').addEventListener('click', () => channel.postMessage({ type: 'close' }));
+  $('next-scene').addEventListener('click', () => channel.postMessage({ type: 'next' }));
+
+  let savedLang = null;
+  try {
+    savedLang = localStorage.getItem('gic-sec-adventure-lang');
+  } catch (err) {
+    // Storage may be disabled; the game's state message sets the language
+  }
+  setLanguage(savedLang || 'en');
+
+  // Ask the game for its current state in case it is already running
+  channel.postMessage({ type: 'hello' });
+})();